@@ -0,0 +1,83 @@
+/**
+ * Debug Log
+ * Leveled console logging that stays quiet until asked for.
+ *
+ * Each script logs under a namespace (media-gallery.js and load-policy.js
+ * use 'media', motion-prefs.js 'motion'). Debug and info messages only
+ * print for namespaces switched on with ?debug=media in the URL or the same
+ * value saved in localStorage; warnings and errors always print. A namespace
+ * may name its lowest level (?debug=media:info), several are comma-separated
+ * and * switches on all of them.
+ *
+ * window.debugLog:
+ *   create(namespace)  - logger with debug/info/warn/error(...args) and
+ *                        enabled (true when debug messages print)
+ *   set(spec)          - save a spec like 'media' or 'media:info' (localStorage),
+ *                        '' to clear; applies from the next page load
+ *   spec               - the spec in effect ('' when off)
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'ap-debug';
+  const LEVELS = ['debug', 'info', 'warn', 'error'];
+  const DEFAULT_LEVEL = 'warn';
+
+  function readSpec() {
+    const param = new URLSearchParams(location.search).get('debug');
+    if (param !== null) return param;
+    try {
+      return localStorage.getItem(STORAGE_KEY) || '';
+    } catch (e) {
+      return '';  // Storage blocked (private mode, sandboxed frame)
+    }
+  }
+
+  function parseSpec(spec) {
+    // 'media,cache:info' -> { media: 'debug', cache: 'info' }
+    const levels = {};
+    spec.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+      const [namespace, level] = part.split(':');
+      levels[namespace] = LEVELS.includes(level) ? level : 'debug';
+    });
+    return levels;
+  }
+
+  const spec = readSpec();
+  const levels = parseSpec(spec);
+
+  function thresholdFor(namespace) {
+    return levels[namespace] || levels['*'] || DEFAULT_LEVEL;
+  }
+
+  const debugLog = {
+    spec,
+
+    create(namespace) {
+      const threshold = LEVELS.indexOf(thresholdFor(namespace));
+      const logger = { enabled: threshold === 0 };
+
+      LEVELS.forEach((level, index) => {
+        logger[level] = index < threshold
+          ? () => {}
+          : (...args) => console[level === 'debug' ? 'log' : level](...args);
+      });
+
+      return logger;
+    },
+
+    set(value) {
+      try {
+        if (value) localStorage.setItem(STORAGE_KEY, value);
+        else localStorage.removeItem(STORAGE_KEY);
+      } catch (e) {
+        console.warn('Debug Log: could not save', value);
+      }
+    }
+  };
+
+  if (spec) console.log('Debug Log:', spec);
+
+  window.debugLog = debugLog;
+})();
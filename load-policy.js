@@ -0,0 +1,127 @@
+/**
+ * Load Policy
+ * Decides how eagerly media loads, from the connection and a saved override.
+ *
+ * A connection is constrained when navigator.connection reports Data Saver
+ * or a 3g-or-slower effectiveType. media-gallery.js then skips hero autoplay,
+ * shows thumb.jpg instead of preview.gif, fetches MP4s only on an explicit
+ * tap, and prefetches less.
+ *
+ * window.loadPolicy:
+ *   constrained        - true when media should load conservatively
+ *   override           - 'auto' (follow the connection) | 'save' | 'full'
+ *   setOverride(mode)  - store the visitor's choice (localStorage)
+ *   margins            - { lazyLoad, videoUnload } IntersectionObserver rootMargins
+ *   onChange(fn)       - fn(loadPolicy) whenever constrained or margins change
+ *
+ * A <select data-load-policy> with auto/save/full options (the footer has
+ * one) shows and sets the override.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'ap-load-policy';
+  const OVERRIDES = ['auto', 'save', 'full'];
+  const SLOW_TYPES = ['slow-2g', '2g', '3g'];
+
+  // Constrained: prefetch nothing early, keep what was paid for loaded longer
+  const MARGINS = {
+    full: { lazyLoad: '200px', videoUnload: '200%' },
+    constrained: { lazyLoad: '0px', videoUnload: '400%' }
+  };
+
+  const connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+  const listeners = [];
+  const log = window.debugLog ? window.debugLog.create('media') : console;
+
+  function readOverride() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return OVERRIDES.includes(stored) ? stored : 'auto';
+    } catch (e) {
+      return 'auto';  // Storage blocked (private mode, sandboxed frame)
+    }
+  }
+
+  function connectionIsConstrained() {
+    if (!connection) return false;
+    return Boolean(connection.saveData) || SLOW_TYPES.includes(connection.effectiveType);
+  }
+
+  const loadPolicy = {
+    override: readOverride(),
+
+    get constrained() {
+      if (this.override === 'save') return true;
+      if (this.override === 'full') return false;
+      return connectionIsConstrained();
+    },
+
+    get margins() {
+      return this.constrained ? MARGINS.constrained : MARGINS.full;
+    },
+
+    setOverride(mode) {
+      if (!OVERRIDES.includes(mode)) {
+        log.warn('Load Policy: unknown override', mode);
+        return;
+      }
+      try {
+        if (mode === 'auto') localStorage.removeItem(STORAGE_KEY);
+        else localStorage.setItem(STORAGE_KEY, mode);
+      } catch (e) {
+        // Still applies for this page view
+      }
+      update(mode);
+    },
+
+    onChange(fn) {
+      listeners.push(fn);
+    }
+  };
+
+  let lastConstrained = loadPolicy.constrained;
+
+  function update(override) {
+    loadPolicy.override = override;
+    syncControls();
+    const constrained = loadPolicy.constrained;
+    if (constrained === lastConstrained) return;
+
+    lastConstrained = constrained;
+    log.info('Load Policy:', constrained ? 'constrained' : 'full', `(override: ${override})`);
+    listeners.forEach(fn => fn(loadPolicy));
+  }
+
+  if (connection && connection.addEventListener) {
+    connection.addEventListener('change', () => update(loadPolicy.override));
+  }
+
+  // Another tab changed the override
+  window.addEventListener('storage', (e) => {
+    if (e.key === STORAGE_KEY) update(readOverride());
+  });
+
+  // Override controls
+  function syncControls() {
+    document.querySelectorAll('select[data-load-policy]').forEach(select => {
+      select.value = loadPolicy.override;
+    });
+  }
+
+  function initControls() {
+    document.querySelectorAll('select[data-load-policy]').forEach(select => {
+      select.value = loadPolicy.override;
+      select.addEventListener('change', () => loadPolicy.setOverride(select.value));
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initControls);
+  } else {
+    initControls();
+  }
+
+  window.loadPolicy = loadPolicy;
+})();
@@ -0,0 +1,81 @@
+/**
+ * Media Cache
+ * Page side of the offline media cache (see sw.js).
+ *
+ * Registers the service worker and keeps a synchronous list of which
+ * gallery media is already stored, so media-gallery.js can label
+ * cached videos without waiting on the Cache API.
+ *
+ * window.mediaCache:
+ *   has(url)   - true if the file is in the media cache
+ *   store(url) - ask the service worker to cache a file whole
+ *   clear()    - drop every cached media file
+ *   ready      - Promise, resolves once the cached list has been read
+ */
+
+(function() {
+  'use strict';
+
+  const MEDIA_CACHE_PREFIX = 'ap-media-';
+  const SW_URL = '/sw.js';
+
+  const cachedUrls = new Set();  // origin + pathname, matching sw.js cache keys
+
+  function toKey(url) {
+    const parsed = new URL(url, location.href);
+    return parsed.origin + parsed.pathname;
+  }
+
+  function readCachedUrls() {
+    if (!('caches' in window)) return Promise.resolve();
+
+    return caches.keys()
+      .then(names => Promise.all(
+        names
+          .filter(name => name.startsWith(MEDIA_CACHE_PREFIX))
+          .map(name => caches.open(name).then(cache => cache.keys()))
+      ))
+      .then(lists => {
+        lists.forEach(requests => requests.forEach(request => cachedUrls.add(toKey(request.url))));
+      })
+      .catch(() => {});
+  }
+
+  function postToWorker(message) {
+    const controller = navigator.serviceWorker && navigator.serviceWorker.controller;
+    if (controller) controller.postMessage(message);
+  }
+
+  const mediaCache = {
+    ready: readCachedUrls(),
+
+    has(url) {
+      return cachedUrls.has(toKey(url));
+    },
+
+    store(url) {
+      if (this.has(url)) return;
+      postToWorker({ type: 'cache-media', url: toKey(url) });
+    },
+
+    clear() {
+      cachedUrls.clear();
+      postToWorker({ type: 'clear-media' });
+    }
+  };
+
+  window.mediaCache = mediaCache;
+
+  if ('serviceWorker' in navigator) {
+    // The worker reports every file it stores
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (e.data && e.data.type === 'media-cached') cachedUrls.add(e.data.url);
+    });
+
+    window.addEventListener('load', () => {
+      navigator.serviceWorker.register(SW_URL).catch(err => {
+        console.warn('Media Cache: service worker registration failed', err);
+      });
+    });
+  }
+})();
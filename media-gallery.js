@@ -4,13 +4,79 @@
  *
  * Two modes:
  * 1. Gallery mode (.pg-gallery) - Interactive photo/video grid with hover/click states
+ *    - data-mode="lightbox" opens clicked items in a full-screen overlay with prev/next
+ *    - #g=<gallery-id>&i=<index> deep-links to an open item (back button closes it)
+ *    - data-layout="grid" (flow), "masonry", "carousel" (scroll-snap row) or "scatter" (pile)
  * 2. Hero mode (.taped-image video) - Lazy-loaded videos with viewport-based playback
  *
  * Features:
  * - Single audio source policy (only one video can have audio at a time)
- * - Lazy loading for all videos
+ * - Lazy loading for all videos, streamed with HTTP Range requests
+ * - Tiles pre-sized from width/height in data-images (see scripts/media-manifest.js)
+ * - Responsive images: srcset/sizes or AVIF/WebP variants load a tile-sized rendition,
+ *   the clicked state swaps in a larger one (see scripts/image-variants.js)
+ * - LRU memory budget (video-budget.js) keeps recently watched videos warm - by count,
+ *   and by bytes if maxVideoMemoryMB is set (streams count their buffered share)
+ * - Offline media cache via media-cache.js + sw.js (labelled "cached")
+ * - Constrained connections (load-policy.js) skip hero autoplay, show still thumbs
+ *   instead of GIF previews and fetch MP4s only on an explicit tap/click
+ * - Reduced motion (motion-prefs.js) turns off tilt and put-down drift, shows still
+ *   thumbs and plays videos only on an explicit tap/click
+ * - Failed videos/images retry with backoff, then show an error tile with a retry button
  * - Viewport-based auto-play/pause
- * - Audio fade in/out with toggle controls
+ * - Audio fade in/out with toggle controls, shown only for clips with an audio track;
+ *   Web Audio gain ramps with equal-power crossfades, video.volume steps as fallback
+ *   (hasAudio in data-images, data-has-audio on hero videos, else detected on load)
+ * - Media Session controls for the audible video; optional floating "now playing"
+ *   chip (mute, scroll back to it) with data-now-playing="true" on the script tag -
+ *   with the chip on, that video's audio keeps playing offscreen instead of fading
+ * - WebVTT captions (captions in data-images, data-captions on hero videos) with a CC
+ *   toggle that cycles languages; clicked gallery videos add a transcript panel that
+ *   follows the current cue
+ * - Clicked gallery videos get a control bar: play/pause, a seekable timeline with
+ *   sprite-sheet (or preview GIF) hover frames and 0.5x/1x/2x speed; J/K/L and
+ *   Left/Right seek and pause while the photo has focus
+ * - Picture-in-picture and fullscreen from the control bar; a video in a PiP window
+ *   keeps its audio and stays loaded when its tile scrolls away or is put down
+ * - Item text in data-images: alt (on the <img> / <video aria-label>), caption or the
+ *   bilingual caption_ja/caption_en pair, credit, date and tags - shown when enlarged
+ * - Keyboard navigation (Tab/Enter/Space/Escape/arrows) with ARIA labels; each photo
+ *   is a labelled group with an Enlarge button (aria-expanded) shown on keyboard focus
+ * - Pointer Events for mouse, pen and touch (tap, drag, pinch, swipe)
+ *
+ * Events (CustomEvent, bubbling - listen on .pg-gallery, .taped-image or document):
+ *   pg:statechange  on .pg-photo  { from, to, index, galleryId }
+ *                                 states are 'normal' | 'hover' | 'clicked'
+ *   pg:lightboxopen  on .pg-gallery  { index, galleryId }
+ *   pg:lightboxclose on .pg-gallery  { index, galleryId }
+ *                                 lightbox and carousel galleries open the overlay
+ *                                 instead of reaching 'clicked'
+ *   pg:dragend      on .pg-photo  { gesture, x, y, scale, index, galleryId }
+ *                                 gesture is 'drag' | 'swipe' (dismissed) | 'pinch'
+ *   pg:videoload    on <video>    { src, cached }  first frame is ready to play
+ *   pg:videounload  on <video>    { src }          released to free memory
+ *   pg:videoerror   on <video>    { src, message, attempt, final }
+ *   pg:imageerror   on <img>      { src, message, attempt, final }
+ *                                 final is true once automatic retries are used up
+ *   pg:audiochange  on <video>    { src, muted }
+ *
+ * API (window.MediaGallery) - for galleries built or replaced after page load:
+ *   MediaGallery.mount(el, items, options)  build a gallery in el; options { mode, layout, id, label }
+ *   MediaGallery.get(el)                    the instance mounted on el, or null
+ *   gallery.setItems(items)                 replace every item
+ *   gallery.open(index) / gallery.close()   lift an item (or open it in the lightbox)
+ *   gallery.destroy()                       remove items, release videos and observers
+ *   MediaGallery.observe() / disconnect()   auto-mount added .pg-gallery[data-images] nodes
+ *                                           and destroy removed ones (on by default,
+ *                                           data-observe="false" on the script tag turns it off)
+ *   MediaGallery.inspect()                  snapshot of loaded videos, pending fetches, video
+ *                                           bytes, the audible video and each photo's state
+ *   MediaGallery.configure(options)         override CONFIG values read at use time, e.g.
+ *                                           { fetch, maxLoadedVideos, maxVideoMemoryMB }
+ *
+ * Debugging: logs are silent apart from warnings and errors unless the page has
+ * ?debug=media (or debugLog.set('media'), see debug-log.js); that also shows
+ * an on-page inspector with the MediaGallery.inspect() snapshot.
  */
 
 (function() {
@@ -36,17 +102,47 @@
     putDownRotation: 7.5,
     maxDriftFromOrigin: 32,
     dragThreshold: 5,
+    viewportFill: 0.95,           // Max share of the viewport a clicked photo may cover on touch
+    swipeVelocity: 0.8,           // px/ms at release that turns a drag into a dismiss
+    swipeDistance: 80,            // px a swipe must travel before it can dismiss
+
+    // Layout settings (data-layout)
+    carouselHoverScale: 1.1,      // Carousels scroll, so they clip anything lifted past their padding
+    scatterRotation: 9,           // Max resting tilt in a scatter pile
+    scatterSpread: 3,             // Pile width in photo sizes
+    scatterHeight: 1.6,           // Pile height in photo sizes
     // Hero video settings
     heroThreshold: 0.25,
     heroRootMargin: '100px',
 
     // Lazy loading settings
-    lazyLoadMargin: '200px',      // Load gallery assets this far before viewport
-    videoUnloadMargin: '200%',    // Unload videos this far from viewport
+    lazyLoadMargin: '200px',      // Load gallery assets this far before viewport (load-policy.js may change)
+    observeMutations: true,       // Auto-mount .pg-gallery nodes added later, destroy removed ones
+    videoUnloadMargin: '200%',    // Unload gallery videos this far from viewport (load-policy.js may change)
+    videoStreaming: true,         // Progressive src (Range requests); false = whole-file blob download
+    maxLoadedVideos: 3,           // Videos kept warm, least recently used unloaded first (video-budget.js)
+    maxVideoMemoryMB: 0,          // Video bytes kept warm; 0 = no byte limit. Blob downloads count
+                                  // their size, streams the buffered share of the file (an estimate)
+    fetch: null,                  // fetch(url, init) for video requests; null = window.fetch
+
+    // Retry settings (failed videos and images)
+    retryAttempts: 3,             // Automatic retries before the error tile appears
+    retryBaseDelay: 1000,         // First retry delay, doubled each attempt
+    retryMaxDelay: 8000,
 
     // Audio settings
     fadeInDuration: 500,
-    fadeOutDuration: 300
+    fadeOutDuration: 300,
+    crossfadeDuration: 400,       // Handoff when another video takes the audio (equal-power with Web Audio)
+    nowPlaying: false,            // Floating chip for the audible video - its audio then keeps playing offscreen
+    audioProbeTime: 1,            // Seconds of playback before a clip with no decoded audio counts as silent
+
+    // Playback controls (clicked gallery videos)
+    playbackRates: [0.5, 1, 2],   // Speed button cycles through these
+    seekStep: 5,                  // Seconds per Left/Right arrow
+    seekJump: 10,                 // Seconds per J/L
+    spriteInterval: 2,            // Seconds between thumbnail sprite frames (process-video.sh)
+    spriteColumns: 10             // Frames per sprite sheet row (process-video.sh)
   };
 
   // Get config overrides from script tag
@@ -54,6 +150,10 @@
   if (scriptTag) {
     if (scriptTag.dataset.threshold) CONFIG.heroThreshold = parseFloat(scriptTag.dataset.threshold);
     if (scriptTag.dataset.rootMargin) CONFIG.heroRootMargin = scriptTag.dataset.rootMargin;
+    if (scriptTag.dataset.maxVideos) CONFIG.maxLoadedVideos = parseInt(scriptTag.dataset.maxVideos, 10);
+    if (scriptTag.dataset.maxVideoMb) CONFIG.maxVideoMemoryMB = parseFloat(scriptTag.dataset.maxVideoMb);
+    if (scriptTag.dataset.observe === 'false') CONFIG.observeMutations = false;
+    if (scriptTag.dataset.nowPlaying) CONFIG.nowPlaying = scriptTag.dataset.nowPlaying !== 'false';
   }
 
   // ===========================================
@@ -61,23 +161,141 @@
   // ===========================================
 
   const ICONS = {
+    captions: '<svg viewBox="0 0 24 24"><path d="M19 4H5c-1.11 0-2 .9-2 2v12c0 1.1.89 2 2 2h14c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm-8 7H9.5v-.5h-2v3h2V13H11v1c0 .55-.45 1-1 1H7c-.55 0-1-.45-1-1v-4c0-.55.45-1 1-1h3c.55 0 1 .45 1 1v1zm7 0h-1.5v-.5h-2v3h2V13H18v1c0 .55-.45 1-1 1h-3c-.55 0-1-.45-1-1v-4c0-.55.45-1 1-1h3c.55 0 1 .45 1 1v1z"/></svg>',
+    fullscreen: '<svg viewBox="0 0 24 24"><path d="M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z"/></svg>',
+    fullscreenExit: '<svg viewBox="0 0 24 24"><path d="M5 16h3v3h2v-5H5v2zm3-8H5v2h5V5H8v3zm6 11h2v-3h3v-2h-5v5zm2-11V5h-2v5h5V8h-3z"/></svg>',
     muted: '<svg viewBox="0 0 24 24"><path d="M16.5 12c0-1.77-1.02-3.29-2.5-4.03v2.21l2.45 2.45c.03-.2.05-.41.05-.63zm2.5 0c0 .94-.2 1.82-.54 2.64l1.51 1.51C20.63 14.91 21 13.5 21 12c0-4.28-2.99-7.86-7-8.77v2.06c2.89.86 5 3.54 5 6.71zM4.27 3L3 4.27 7.73 9H3v6h4l5 5v-6.73l4.25 4.25c-.67.52-1.42.93-2.25 1.18v2.06c1.38-.31 2.63-.95 3.69-1.81L19.73 21 21 19.73l-9-9L4.27 3zM12 4L9.91 6.09 12 8.18V4z"/></svg>',
+    pause: '<svg viewBox="0 0 24 24"><path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z"/></svg>',
+    pictureInPicture: '<svg viewBox="0 0 24 24"><path d="M19 11h-8v6h8v-6zm4 8V4.98C23 3.88 22.1 3 21 3H3c-1.1 0-2 .88-2 1.98V19c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2zm-2 .02H3V4.97h18v14.05z"/></svg>',
+    play: '<svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>',
+    transcript: '<svg viewBox="0 0 24 24"><path d="M14 17H4v2h10v-2zm6-8H4v2h16V9zM4 15h16v-2H4v2zM4 5v2h16V5H4z"/></svg>',
     unmuted: '<svg viewBox="0 0 24 24"><path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z"/></svg>'
   };
 
+  // ===========================================
+  // Debug Logging
+  // ===========================================
+
+  // Debug/info messages print only with ?debug=media (debug-log.js)
+  const log = window.debugLog ? window.debugLog.create('media') : console;
+
+  // ===========================================
+  // Events
+  // ===========================================
+
+  function emit(target, name, detail) {
+    target.dispatchEvent(new CustomEvent(`pg:${name}`, { bubbles: true, detail }));
+  }
+
+  function getPhotoDetail(photo) {
+    const gallery = photo.closest('.pg-gallery');
+    return {
+      index: parseInt(photo.dataset.index, 10),
+      galleryId: gallery ? gallery.dataset.galleryId : null
+    };
+  }
+
+  function emitStateChange(photo, from) {
+    emit(photo, 'statechange', { from, to: photo.dataset.state, ...getPhotoDetail(photo) });
+  }
+
   // ===========================================
   // Audio Controller (Singleton)
   // ===========================================
 
+  // Fades run through a shared AudioContext - one MediaElementAudioSourceNode
+  // and GainNode per video, built on its first unmute. Without Web Audio
+  // (or if routing a video fails) they step video.volume instead, which iOS
+  // ignores, so there the toggle simply mutes and unmutes.
+
+  const FADE_CURVE_STEPS = 64;
+
+  // Equal-power: at every point of a handoff the two gains' squares sum to 1
+  const FADE_CURVES = {
+    in: (from, t) => from + (1 - from) * Math.sin(t * Math.PI / 2),
+    out: (from, t) => from * Math.cos(t * Math.PI / 2)
+  };
+
   const audioController = {
     activeVideo: null,
+    context: null,              // Shared AudioContext, created on the first unmute
+    graphs: new WeakMap(),      // video -> { source, node } (node is the GainNode)
+    fades: new WeakMap(),       // video -> { timer } for the fade in progress
+
+    keepsPlayingOffscreen(video) {
+      // A PiP window or fullscreen keeps the video in view however far its tile
+      // scrolls; the now-playing chip keeps the audible one within reach
+      if (isInPictureInPicture(video)) return true;
+      if (document.fullscreenElement && document.fullscreenElement.contains(video)) return true;
+      return CONFIG.nowPlaying && video === this.activeVideo;
+    },
+
+    getGain(video) {
+      // The video's gain AudioParam, or null to fall back to video.volume
+      if (this.graphs.has(video)) return this.graphs.get(video).node.gain;
+
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return null;
+
+      try {
+        if (!this.context) this.context = new AudioContextClass();
+        // Unmuting is a click, so this resume is allowed by autoplay policy
+        if (this.context.state === 'suspended') this.context.resume();
+
+        const source = this.context.createMediaElementSource(video);
+        const node = this.context.createGain();
+        source.connect(node);
+        node.connect(this.context.destination);
+        this.graphs.set(video, { source, node });
+        return node.gain;
+      } catch (err) {
+        log.warn('[audioController] Web Audio unavailable, fading volume:', err.message);
+        return null;
+      }
+    },
+
+    rampGain(gain, from, curve, duration) {
+      const now = this.context.currentTime;
+      const values = new Float32Array(FADE_CURVE_STEPS);
+      for (let i = 0; i < FADE_CURVE_STEPS; i++) {
+        values[i] = curve(from, i / (FADE_CURVE_STEPS - 1));
+      }
+      gain.cancelScheduledValues(now);
+      gain.setValueCurveAtTime(values, now, duration / 1000);
+    },
+
+    startFade(video) {
+      // A new fade supersedes the last one - its timer and rAF loop stop
+      this.clearFade(video);
+      const fade = { timer: null };
+      this.fades.set(video, fade);
+      return fade;
+    },
+
+    clearFade(video) {
+      const fade = this.fades.get(video);
+      if (fade) clearTimeout(fade.timer);
+      this.fades.delete(video);
+    },
 
     fadeInAudio(video, duration = CONFIG.fadeInDuration) {
+      const fade = this.startFade(video);
+
+      const gain = this.getGain(video);
+      if (gain) {
+        // Start from silence, or from wherever an interrupted fade-out got to
+        const from = video.muted ? 0 : gain.value;
+        video.muted = false;
+        this.rampGain(gain, from, FADE_CURVES.in, duration);
+        return;
+      }
+
       video.volume = 0;
       video.muted = false;
 
       const startTime = Date.now();
       const tick = () => {
+        if (this.fades.get(video) !== fade) return;
         const elapsed = Date.now() - startTime;
         const progress = Math.min(elapsed / duration, 1);
         video.volume = progress;
@@ -87,6 +305,27 @@
     },
 
     fadeOutAudio(video, duration = CONFIG.fadeOutDuration, callback) {
+      const fade = this.startFade(video);
+
+      const graph = this.graphs.get(video);
+      if (graph) {
+        if (video.muted) {
+          if (callback) callback();
+          return;
+        }
+        const gain = graph.node.gain;
+        this.rampGain(gain, gain.value, FADE_CURVES.out, duration);
+        fade.timer = setTimeout(() => {
+          this.fades.delete(video);
+          video.muted = true;
+          // Muting silences the element; reset the level for anything that unmutes it directly
+          gain.cancelScheduledValues(0);
+          gain.value = 1;
+          if (callback) callback();
+        }, duration);
+        return;
+      }
+
       const startVolume = video.volume;
       if (startVolume === 0) {
         video.muted = true;
@@ -96,6 +335,7 @@
 
       const startTime = Date.now();
       const tick = () => {
+        if (this.fades.get(video) !== fade) return;
         const elapsed = Date.now() - startTime;
         const progress = Math.min(elapsed / duration, 1);
         video.volume = startVolume * (1 - progress);
@@ -103,6 +343,7 @@
         if (progress < 1) {
           requestAnimationFrame(tick);
         } else {
+          this.fades.delete(video);
           video.muted = true;
           video.volume = 1;
           if (callback) callback();
@@ -113,19 +354,23 @@
 
     updateToggleIcon(toggle, muted) {
       toggle.innerHTML = muted ? ICONS.muted : ICONS.unmuted;
+      toggle.setAttribute('aria-label', muted ? 'Unmute video' : 'Mute video');
+      toggle.setAttribute('aria-pressed', String(!muted));
     },
 
     setAudioActive(video) {
-      // Mute previous active video
-      if (this.activeVideo && this.activeVideo !== video) {
-        const prevVideo = this.activeVideo;
-        this.fadeOutAudio(prevVideo, 200, () => {
+      // Hand off from the previous active video - both fades share one
+      // duration so they cross at equal power
+      const prevVideo = this.activeVideo;
+      const handoff = prevVideo && prevVideo !== video;
+      if (handoff) {
+        this.fadeOutAudio(prevVideo, CONFIG.crossfadeDuration, () => {
           this.updateUI(prevVideo, true);
         });
       }
 
       this.activeVideo = video;
-      this.fadeInAudio(video);
+      this.fadeInAudio(video, handoff ? CONFIG.crossfadeDuration : CONFIG.fadeInDuration);
       this.updateUI(video, false);
     },
 
@@ -139,8 +384,19 @@
       this.updateUI(video, true);
     },
 
+    release(video) {
+      // The video is being discarded - drop its nodes so the graph doesn't keep it alive
+      this.clearFade(video);
+      const graph = this.graphs.get(video);
+      if (!graph) return;
+      graph.source.disconnect();
+      graph.node.disconnect();
+      this.graphs.delete(video);
+    },
+
     toggleAudio(video) {
-      if (video.muted) {
+      // activeVideo flips at once; muted only once a fade-out has finished
+      if (this.activeVideo !== video) {
         this.setAudioActive(video);
       } else {
         this.setAudioInactive(video);
@@ -148,15 +404,18 @@
     },
 
     updateUI(video, muted) {
-      // Find container - could be .pg-photo (gallery) or .taped-image (hero)
-      const container = video.closest('.pg-photo') || video.closest('.taped-image');
-      if (!container) return;
-
-      const toggle = container.querySelector('.video-audio-toggle');
-      const glow = container.querySelector('.video-audio-glow');
+      // Find container - could be .pg-photo (gallery), .pg-lightbox-frame or .taped-image (hero)
+      const container = video.closest('.pg-photo, .pg-lightbox-frame, .taped-image');
+      if (container) {
+        const toggle = container.querySelector('.video-audio-toggle');
+        const glow = container.querySelector('.video-audio-glow');
+
+        if (toggle) this.updateToggleIcon(toggle, muted);
+        if (glow) glow.classList.toggle('active', !muted);
+      }
 
-      if (toggle) this.updateToggleIcon(toggle, muted);
-      if (glow) glow.classList.toggle('active', !muted);
+      emit(video, 'audiochange', { src: video.dataset.videoSrc || video.currentSrc, muted });
+      updateNowPlaying();
     }
   };
 
@@ -167,7 +426,15 @@
   // Shared Video Utilities
   // ===========================================
 
-  const loadedVideos = new Set();  // Track all loaded videos
+  // Loaded videos, least recently used first, with the bytes each holds
+  const videoBudget = new VideoBudget({
+    maxVideos: CONFIG.maxLoadedVideos,
+    maxBytes: CONFIG.maxVideoMemoryMB * 1024 * 1024,
+    // Audible and picture-in-picture videos stay warm
+    canEvict: (video) => video.muted && !isInPictureInPicture(video),
+    evict: (video) => unloadVideo(video)
+  });
+  const streamSizes = new WeakMap();  // Streamed video -> file bytes (HEAD request)
   const pendingFetches = new Map();  // Track in-progress fetches (video -> AbortController)
 
   function createLoadingBar(photo) {
@@ -197,46 +464,172 @@
     if (bar) bar.remove();
   }
 
+  function showCachedBar(bar) {
+    bar.classList.add('pg-loading-bar-cached');
+    const fill = bar.querySelector('.pg-loading-bar-fill');
+    const text = bar.querySelector('.pg-loading-bar-text');
+    if (fill) fill.style.width = '100%';
+    if (text) text.textContent = 'cached';
+  }
+
+  function isCached(src) {
+    return Boolean(window.mediaCache && window.mediaCache.has(src));
+  }
+
+  function bufferedEnd(video) {
+    return video.buffered.length ? video.buffered.end(video.buffered.length - 1) : 0;
+  }
+
+  // Element that hosts a video's loading bar - a gallery photo or the lightbox frame
+  function getVideoFrame(video) {
+    return video.closest('.pg-photo, .pg-lightbox-frame');
+  }
+
+  function fetchVideo(url, init) {
+    return CONFIG.fetch ? CONFIG.fetch(url, init) : window.fetch(url, init);
+  }
+
   function loadVideo(video) {
     // Always ensure we have a source to load
     const src = video.dataset.lazySrc || video.dataset.videoSrc;
     if (!src) {
-      console.warn('[loadVideo] No source available for video');
+      log.warn('[loadVideo] No source available for video');
       return;
     }
 
     // Store source permanently (never lose it)
     video.dataset.videoSrc = src;
 
-    // AGGRESSIVE: Unload ALL other videos first
-    unloadAllVideosExcept(video);
+    // Gave up after retries - only the error tile's retry button restarts it
+    if (video.dataset.loadFailed) return;
 
-    // If already loaded with blob URL, just play
-    if (video.src && video.src.startsWith('blob:')) {
-      console.log('[loadVideo] Already loaded, playing:', src);
+    // If already loaded (blob URL or streaming source), just play
+    if (videoBudget.has(video) && video.getAttribute('src')) {
+      log.debug('[loadVideo] Already loaded, playing:', src);
+      videoBudget.touch(video);
       video.play().catch(() => {});
       return;
     }
 
     // Cancel any pending fetch for this video
     if (pendingFetches.has(video)) {
-      console.log('[loadVideo] Cancelling pending fetch for:', src);
+      log.debug('[loadVideo] Cancelling pending fetch for:', src);
       pendingFetches.get(video).abort();
       pendingFetches.delete(video);
     }
 
-    const photo = video.closest('.pg-photo');
+    const photo = getVideoFrame(video);
 
-    // Create progress bar
+    // Create progress bar - cached files skip byte progress
+    const cached = isCached(src);
     const loadingBar = photo ? createLoadingBar(photo) : null;
-    console.log('[loadVideo] Starting fetch for:', src);
+    if (loadingBar && cached) showCachedBar(loadingBar);
+    log.debug('[loadVideo] Starting fetch for:', src, cached ? '(cached)' : '');
 
     // Create abort controller for this fetch
     const abortController = new AbortController();
     pendingFetches.set(video, abortController);
 
+    const progressBar = cached ? null : loadingBar;
+    if (CONFIG.videoStreaming) {
+      streamVideo(video, src, photo, progressBar, abortController.signal);
+    } else {
+      downloadVideo(video, src, photo, progressBar, abortController.signal);
+    }
+  }
+
+  // Progressive playback - the browser fetches the MP4 with Range requests and
+  // starts as soon as enough is buffered, without holding the whole file in memory
+  function streamVideo(video, src, photo, loadingBar, signal) {
+    let total = 0;
+
+    // The media element doesn't expose the file size, so ask for it once -
+    // for the progress bar and the byte budget
+    if (loadingBar || CONFIG.maxVideoMemoryMB) {
+      fetchVideo(src, { method: 'HEAD', signal })
+        .then(response => {
+          total = parseInt(response.headers.get('content-length'), 10) || 0;
+          if (total) streamSizes.set(video, total);
+          onProgress();
+          onStreamProgress({ target: video });
+        })
+        .catch(() => {});
+    }
+
+    function onProgress() {
+      if (!loadingBar || !total || !video.duration) return;
+      updateLoadingBar(loadingBar, total * bufferedEnd(video) / video.duration, total);
+    }
+
+    // Once the whole file has streamed in, copy it to the offline media cache
+    function onFullyBuffered() {
+      if (!video.duration || bufferedEnd(video) < video.duration - 0.1) return;
+      video.removeEventListener('progress', onFullyBuffered);
+      window.mediaCache.store(src);
+    }
+
+    function onCanPlay() {
+      cleanup();
+      pendingFetches.delete(video);
+      onVideoReady(video, src, photo);
+    }
+
+    function onError() {
+      cleanup();
+      pendingFetches.delete(video);
+      videoBudget.delete(video);
+
+      const mediaError = video.error;
+      video.removeAttribute('src');
+      video.load();
+      onVideoLoadError(video, src, photo, new Error(mediaError && mediaError.message || 'Playback failed'));
+    }
+
+    function cleanup() {
+      video.removeEventListener('progress', onProgress);
+      video.removeEventListener('canplay', onCanPlay);
+      video.removeEventListener('error', onError);
+    }
+
+    signal.addEventListener('abort', () => {
+      log.debug('[loadVideo] Stream aborted for:', src);
+      cleanup();
+      video.removeEventListener('progress', onFullyBuffered);
+      if (photo) removeLoadingBar(photo);
+    });
+
+    if (window.mediaCache && !isCached(src)) {
+      video.addEventListener('progress', onFullyBuffered);
+    }
+    video.addEventListener('progress', onProgress);
+    video.addEventListener('progress', onStreamProgress);  // Same function each load - added once
+    video.addEventListener('canplay', onCanPlay);
+    video.addEventListener('error', onError);
+
+    video.preload = 'auto';
+    video.src = src;
+    video.load();
+    video.play().catch(() => {});
+
+    videoBudget.add(video);
+    delete video.dataset.lazySrc;
+    videoBudget.enforce(video);
+  }
+
+  function onStreamProgress(e) {
+    // Bytes a stream holds, estimated as the buffered share of the file
+    const video = e.target;
+    const size = streamSizes.get(video);
+    if (!size || !video.duration || !videoBudget.has(video)) return;
+    videoBudget.setBytes(video, Math.round(size * bufferedEnd(video) / video.duration));
+    videoBudget.enforce(video);
+  }
+
+  // Whole-file download into a blob URL - exact byte progress, but playback
+  // waits for the last chunk
+  function downloadVideo(video, src, photo, loadingBar, signal) {
     // Use fetch to track progress, then load into video
-    fetch(src, { signal: abortController.signal })
+    fetchVideo(src, { signal })
       .then(response => {
         if (!response.ok) throw new Error('Network response was not ok');
 
@@ -266,22 +659,18 @@
         pendingFetches.delete(video);
 
         const blobUrl = URL.createObjectURL(blob);
-        console.log('[loadVideo] Fetch complete, created blob URL:', blobUrl.slice(0, 50));
+        log.debug('[loadVideo] Fetch complete, created blob URL:', blobUrl.slice(0, 50));
         video.src = blobUrl;
 
-        video.addEventListener('canplay', function onCanPlay() {
-          console.log('[loadVideo] Video canplay:', src);
-          if (photo) {
-            removeLoadingBar(photo);
-            applyAspectRatio(photo, video.videoWidth, video.videoHeight);
-          }
-        }, { once: true });
+        video.addEventListener('canplay', () => onVideoReady(video, src, photo), { once: true });
 
         video.load();
         video.play().catch(() => {});
 
-        loadedVideos.add(video);
+        videoBudget.add(video);
+        videoBudget.setBytes(video, blob.size);
         delete video.dataset.lazySrc;
+        videoBudget.enforce(video);
       })
       .catch(err => {
         // Remove from pending fetches
@@ -289,39 +678,83 @@
 
         // Ignore abort errors (expected when moving between videos quickly)
         if (err.name === 'AbortError') {
-          console.log('[loadVideo] Fetch aborted for:', src);
+          log.debug('[loadVideo] Fetch aborted for:', src);
           if (photo) removeLoadingBar(photo);
           return;
         }
 
-        console.error('[loadVideo] Fetch error:', err, src);
-        if (photo) {
-          removeLoadingBar(photo);
-          // Show error in bar briefly
-          const errorBar = createLoadingBar(photo);
-          const text = errorBar.querySelector('.pg-loading-bar-text');
-          if (text) text.textContent = 'Error: ' + err.message;
-        }
-        // Allow retry
-        if (video.dataset.videoSrc) {
-          video.dataset.lazySrc = video.dataset.videoSrc;
-        }
+        onVideoLoadError(video, src, photo, err);
+      });
+  }
+
+  function onVideoReady(video, src, photo) {
+    log.debug('[loadVideo] Video canplay:', src);
+    cancelRetry(video);
+    emit(video, 'videoload', { src, cached: isCached(src) });
+    if (photo) {
+      // The "cached" label fades out on its own (CSS) so it can be seen
+      const bar = photo.querySelector('.pg-loading-bar');
+      if (bar && !bar.classList.contains('pg-loading-bar-cached')) bar.remove();
+      if (photo.classList.contains('pg-photo')) {
+        applyAspectRatio(photo, video.videoWidth, video.videoHeight);
+      }
+    }
+  }
+
+  function onVideoLoadError(video, src, photo, err) {
+    log.error('[loadVideo] Fetch error:', err, src);
+    if (photo) removeLoadingBar(photo);
+
+    // Allow retry
+    if (video.dataset.videoSrc) {
+      video.dataset.lazySrc = video.dataset.videoSrc;
+    }
+
+    const delay = scheduleRetry(video, () => loadVideo(video));
+    reportMediaError(video, 'video', src, err, delay === null);
+
+    if (delay !== null) {
+      if (photo) {
+        const bar = createLoadingBar(photo);
+        const text = bar.querySelector('.pg-loading-bar-text');
+        if (text) text.textContent = `Retrying in ${Math.round(delay / 1000)}s (${retryState.get(video).attempts}/${CONFIG.retryAttempts})`;
+      }
+      return;
+    }
+
+    video.dataset.loadFailed = 'true';
+    const container = photo || video.closest('.taped-image');
+    if (container) {
+      showErrorTile(container, 'Video failed to load', () => {
+        delete video.dataset.loadFailed;
+        cancelRetry(video);
+        loadVideo(video);
       });
+    }
   }
 
   function unloadVideo(video) {
     // Don't unload if audio is active (user is listening)
     if (!video.muted) {
-      console.log('[unloadVideo] Skipping - audio active');
+      log.debug('[unloadVideo] Skipping - audio active');
+      return;
+    }
+
+    // Still being watched in its own window
+    if (isInPictureInPicture(video)) {
+      log.debug('[unloadVideo] Skipping - picture-in-picture');
       return;
     }
 
     const src = video.dataset.videoSrc || 'unknown';
-    console.log('[unloadVideo] Unloading:', src);
+    log.debug('[unloadVideo] Unloading:', src);
+
+    // Drop any scheduled retry - a later load starts with a fresh count
+    cancelRetry(video);
 
     // Cancel any pending fetch
     if (pendingFetches.has(video)) {
-      console.log('[unloadVideo] Aborting pending fetch');
+      log.debug('[unloadVideo] Aborting pending fetch');
       pendingFetches.get(video).abort();
       pendingFetches.delete(video);
     }
@@ -330,7 +763,7 @@
 
     // Revoke blob URL if exists
     if (video.src && video.src.startsWith('blob:')) {
-      console.log('[unloadVideo] Revoking blob URL');
+      log.debug('[unloadVideo] Revoking blob URL');
       URL.revokeObjectURL(video.src);
     }
 
@@ -340,7 +773,8 @@
     video.removeAttribute('src');
     video.load(); // Clear internal buffer
 
-    loadedVideos.delete(video);
+    videoBudget.delete(video);
+    emit(video, 'videounload', { src });
 
     // Always restore lazySrc for re-loading
     if (video.dataset.videoSrc) {
@@ -348,7 +782,7 @@
     }
 
     // Show preview again
-    const photo = video.closest('.pg-photo');
+    const photo = getVideoFrame(video);
     if (photo) {
       removeLoadingBar(photo);
       const preview = photo.querySelector('.pg-preview');
@@ -357,10 +791,19 @@
     }
   }
 
-  function unloadAllVideosExcept(keepVideo) {
-    // CRITICAL: Copy to array first to avoid modifying Set while iterating
-    const videosToUnload = [...loadedVideos].filter(v => v !== keepVideo);
-    videosToUnload.forEach(unloadVideo);
+  function discardVideo(video) {
+    // unloadVideo skips unmuted and PiP videos - this one is going away,
+    // so cut audio and close its window now
+    if (!video.muted) {
+      audioController.setAudioInactive(video);
+      video.muted = true;
+    }
+    audioController.release(video);
+    if (isInPictureInPicture(video)) {
+      leavePictureInPicture(video).catch(() => {}).then(() => unloadVideo(video));
+      return;
+    }
+    unloadVideo(video);
   }
 
   function pauseVideo(video) {
@@ -376,604 +819,2914 @@
   }
 
   // Videos with no audio track — skip audio controls
-  const NO_AUDIO = [
-    'bartleby-cad-render/video.mp4',
-    'oled-prototype-breadboard/video.mp4'
-  ];
-
+  // Audio controls only appear for clips known to have sound. data-has-audio
+  // (from the item's hasAudio or the manifest) decides up front; otherwise
+  // the track is detected once the video loads.
   function addAudioControls(container, video) {
     if (container.querySelector('.video-audio-toggle')) return;
-    const src = video.getAttribute('src') || video.getAttribute('data-lazy-src') || '';
-    if (NO_AUDIO.some(path => src.includes(path))) return;
+
+    if (video.dataset.hasAudio === 'true') {
+      createAudioControls(container, video);
+    } else if (video.dataset.hasAudio !== 'false') {
+      watchForAudioTrack(container, video);
+    }
+  }
+
+  function detectAudioTrack(video) {
+    // true/false when the browser can tell, null when it can't (yet)
+    if (typeof video.mozHasAudio === 'boolean') return video.mozHasAudio;
+    if (video.audioTracks) return video.audioTracks.length > 0;
+    if (typeof video.webkitAudioDecodedByteCount === 'number') {
+      // Chromium only counts audio once some has played
+      if (video.webkitAudioDecodedByteCount > 0) return true;
+      return video.currentTime >= CONFIG.audioProbeTime ? false : null;
+    }
+    return null;
+  }
+
+  function watchForAudioTrack(container, video) {
+    const events = ['loadedmetadata', 'canplay', 'timeupdate'];
+
+    function check() {
+      if (!video.getAttribute('src')) return;  // Unloaded - wait for the next load
+
+      let hasAudio = detectAudioTrack(video);
+      if (hasAudio === null) {
+        // No way to tell - keep the toggle rather than strand the sound
+        const supported = 'mozHasAudio' in video || 'audioTracks' in video || 'webkitAudioDecodedByteCount' in video;
+        if (supported) return;
+        hasAudio = true;
+      }
+
+      events.forEach(type => video.removeEventListener(type, check));
+      video.dataset.hasAudio = String(hasAudio);
+      log.debug('[addAudioControls] Audio track detected:', hasAudio, video.dataset.videoSrc || '');
+      if (hasAudio && video.closest('.pg-photo, .pg-lightbox-frame, .taped-image') === container) {
+        createAudioControls(container, video);
+      }
+    }
+
+    events.forEach(type => video.addEventListener(type, check));
+  }
+
+  function getControlsWrapper(container) {
+    // One row for the audio, caption and transcript toggles - whichever
+    // is added first creates it (audio may only appear once detected)
+    let wrapper = container.querySelector(':scope > .video-audio-toggle-wrapper');
+    if (wrapper) return wrapper;
 
     // Create wrapper for 3D isolation
-    const wrapper = document.createElement('div');
+    wrapper = document.createElement('div');
     wrapper.className = 'video-audio-toggle-wrapper';
 
+    // Stop pointer and key events on wrapper to prevent state changes
+    ['pointerdown', 'pointerup', 'pointermove', 'keydown'].forEach(eventType => {
+      wrapper.addEventListener(eventType, (e) => e.stopPropagation());
+    });
+
+    container.appendChild(wrapper);
+    return wrapper;
+  }
+
+  function createAudioControls(container, video) {
     const toggle = document.createElement('button');
+    toggle.type = 'button';
     toggle.className = 'video-audio-toggle';
-    toggle.innerHTML = ICONS.muted;
+    audioController.updateToggleIcon(toggle, true);
     toggle.addEventListener('click', (e) => {
       e.stopPropagation();
       audioController.toggleAudio(video);
     });
 
-    wrapper.appendChild(toggle);
-
-    // Stop mouse events on wrapper to prevent state changes
-    ['mousedown', 'mouseup', 'mousemove', 'mouseenter'].forEach(eventType => {
-      wrapper.addEventListener(eventType, (e) => e.stopPropagation());
-    });
-
     // Create rainbow glow element
     const glow = document.createElement('div');
     glow.className = 'video-audio-glow';
 
     container.appendChild(glow);
-    container.appendChild(wrapper);
+    getControlsWrapper(container).prepend(toggle);
   }
 
   // ===========================================
-  // Gallery Mode
+  // Captions & Transcript
   // ===========================================
 
-  const MOBILE_QUERY = '(max-width: 768px)';
-  const Z_INDEX_HOVER = 10000;
-  const Z_INDEX_CLICKED = 10001;
-
-  // Drag state
-  let dragState = {
-    active: false,
-    photo: null,
-    startX: 0,
-    startY: 0,
-    offsetX: 0,
-    offsetY: 0,
-    hasDragged: false,
-    isFirstClick: false
-  };
-
-  function randomInRange(min, max) {
-    return Math.random() * (max - min) + min;
+  // Tracks render into .video-captions rather than natively, so cues sit
+  // clear of the toggles and scale with the tile. Modes: 'hidden' loads the
+  // cues and fires cuechange, 'disabled' skips the fetch until it's needed.
+
+  const CAPTION_LABELS = { en: 'English', ja: '日本語' };
+
+  const captionState = new WeakMap();  // video -> { shown, transcript } track indexes, -1 = off
+
+  function parseCaptions(captions) {
+    // [{ src, lang, label }] or bare paths named NAME.<lang>.vtt
+    if (!Array.isArray(captions)) return [];
+    return captions.map(caption => {
+      if (typeof caption === 'string') caption = { src: caption };
+      if (!caption || !caption.src) return null;
+      const suffix = caption.src.match(/\.([a-z]{2})\.vtt$/i);
+      const lang = (caption.lang || (suffix ? suffix[1] : '')).toLowerCase();
+      return {
+        src: caption.src,
+        lang,
+        label: caption.label || CAPTION_LABELS[lang] || lang.toUpperCase() || 'Captions'
+      };
+    }).filter(Boolean);
   }
 
-  function clamp(val, min, max) {
-    return Math.max(min, Math.min(max, val));
+  function addCaptionTracks(video, captions) {
+    captions.forEach(caption => {
+      const track = document.createElement('track');
+      track.kind = 'captions';
+      track.src = caption.src;
+      track.srclang = caption.lang;
+      track.label = caption.label;
+      video.appendChild(track);
+    });
   }
 
-  function updateShine(photo, tiltX, tiltY) {
-    const catchX = -tiltX / 20;
-    const catchY = tiltY / 20;
-    const catchAmount = (catchX + catchY) / 2;
-    const intensity = clamp(catchAmount + 0.2, 0, 1);
-    photo.style.setProperty('--shine-intensity', intensity);
+  function getCaptionTracks(video) {
+    if (!video.textTracks) return [];
+    return [...video.textTracks].filter(track => track.kind === 'captions' || track.kind === 'subtitles');
   }
 
-  function updateShineFromRotation(photo, rotation) {
-    photo.style.setProperty('--shine-intensity', 0.15);
+  function applyCaptionModes(video) {
+    const state = captionState.get(video);
+    getCaptionTracks(video).forEach((track, i) => {
+      track.mode = i === state.shown || i === state.transcript ? 'hidden' : 'disabled';
+    });
   }
 
-  function showVideo(photo) {
-    const video = photo.querySelector('video');
-    const preview = photo.querySelector('.pg-preview');
-    if (video) video.style.display = 'block';
-    if (preview) preview.style.display = 'none';
-  }
+  function addCaptionControls(container, video) {
+    const tracks = getCaptionTracks(video);
+    if (!tracks.length || captionState.has(video)) return;
 
-  function showPreview(photo) {
-    const video = photo.querySelector('video');
-    const preview = photo.querySelector('.pg-preview');
-    if (video) video.style.display = 'none';
-    if (preview) preview.style.display = 'block';
+    captionState.set(video, { shown: -1, transcript: -1 });
+    applyCaptionModes(video);
+
+    const captions = document.createElement('div');
+    captions.className = 'video-captions';
+    captions.hidden = true;
+    container.appendChild(captions);
+
+    tracks.forEach(track => {
+      track.addEventListener('cuechange', () => onCueChange(container, video, track));
+    });
+
+    const wrapper = getControlsWrapper(container);
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'video-caption-toggle';
+    toggle.innerHTML = ICONS.captions;
+    toggle.addEventListener('click', (e) => {
+      e.stopPropagation();
+      cycleCaptions(container, video);
+    });
+    wrapper.appendChild(toggle);
+    updateCaptionToggle(container, video);
+
+    // Transcript panel - gallery clicked state only (CSS hides the button otherwise)
+    if (container.classList.contains('pg-photo')) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'video-transcript-toggle';
+      button.innerHTML = ICONS.transcript;
+      button.setAttribute('aria-label', 'Transcript');
+      button.setAttribute('aria-expanded', 'false');
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleTranscript(container, video);
+      });
+      wrapper.appendChild(button);
+    }
   }
 
-  function loadAndPlayGalleryVideo(photo) {
-    const video = photo.querySelector('video');
-    if (!video) return;
+  function cycleCaptions(container, video) {
+    // Off -> each language in turn -> off
+    const state = captionState.get(video);
+    const tracks = getCaptionTracks(video);
+    state.shown = state.shown + 1 < tracks.length ? state.shown + 1 : -1;
+    log.debug('[captions]', state.shown === -1 ? 'Off' : tracks[state.shown].label);
 
-    // Always go through loadVideo - it handles all cases robustly
-    loadVideo(video);
+    applyCaptionModes(video);
+    renderCaptions(container, video);
+    updateCaptionToggle(container, video);
+
+    // An open transcript follows the caption language
+    if (state.transcript !== -1 && state.shown !== -1) showTranscript(container, video);
   }
 
-  function constrainToViewport(photo, x, y, scale) {
-    // Get photo's base dimensions
-    const photoWidth = photo.offsetWidth;
-    const photoHeight = photo.offsetHeight;
-    const scaledHalfWidth = (photoWidth * scale) / 2;
-    const scaledHalfHeight = (photoHeight * scale) / 2;
+  function updateCaptionToggle(container, video) {
+    const toggle = container.querySelector('.video-caption-toggle');
+    const tracks = getCaptionTracks(video);
+    const track = tracks[captionState.get(video).shown];
+    const label = track ? `Captions: ${track.label}` : 'Captions off';
 
-    // Get photo's original center position (without transform)
-    // offsetLeft/Top gives position relative to offsetParent
-    // We need to get the absolute position on the page
-    let el = photo;
-    let baseLeft = 0;
-    let baseTop = 0;
-    while (el) {
-      baseLeft += el.offsetLeft;
-      baseTop += el.offsetTop;
-      el = el.offsetParent;
-    }
-    // Account for scroll
-    baseLeft -= window.scrollX;
-    baseTop -= window.scrollY;
+    toggle.classList.toggle('active', Boolean(track));
+    toggle.setAttribute('aria-pressed', String(Boolean(track)));
+    toggle.setAttribute('aria-label', label);
+    toggle.title = label;
 
-    // Photo center in viewport coordinates (before any translate)
-    const centerX = baseLeft + photoWidth / 2;
-    const centerY = baseTop + photoHeight / 2;
+    // Language badge only when there is more than one to cycle through
+    if (track && tracks.length > 1) toggle.dataset.lang = (track.language || track.label).toUpperCase();
+    else delete toggle.dataset.lang;
+  }
 
-    // After translate(x, y), the center will be at (centerX + x, centerY + y)
-    // The scaled photo edges will be at:
-    //   left edge: centerX + x - scaledHalfWidth
-    //   right edge: centerX + x + scaledHalfWidth
-    //   top edge: centerY + y - scaledHalfHeight
-    //   bottom edge: centerY + y + scaledHalfHeight
+  function getCueContent(cue) {
+    // getCueAsHTML keeps <i>/<b>/<v> spans without parsing cue markup ourselves
+    if (cue.getCueAsHTML) return cue.getCueAsHTML();
+    return document.createTextNode(cue.text.replace(/<[^>]+>/g, ''));
+  }
 
-    // Constrain so edges stay within viewport [0, window.innerWidth] and [0, window.innerHeight]
-    // left edge >= 0:  centerX + x - scaledHalfWidth >= 0  =>  x >= scaledHalfWidth - centerX
-    // right edge <= W: centerX + x + scaledHalfWidth <= W  =>  x <= W - centerX - scaledHalfWidth
-    // top edge >= 0:   centerY + y - scaledHalfHeight >= 0 =>  y >= scaledHalfHeight - centerY
-    // bottom edge <= H: centerY + y + scaledHalfHeight <= H => y <= H - centerY - scaledHalfHeight
+  function renderCaptions(container, video) {
+    const box = container.querySelector('.video-captions');
+    const track = getCaptionTracks(video)[captionState.get(video).shown];
 
-    const minX = scaledHalfWidth - centerX;
-    const maxX = window.innerWidth - centerX - scaledHalfWidth;
-    const minY = scaledHalfHeight - centerY;
-    const maxY = window.innerHeight - centerY - scaledHalfHeight;
+    box.textContent = '';
+    if (track && track.activeCues) {
+      [...track.activeCues].forEach(cue => {
+        const line = document.createElement('span');
+        line.appendChild(getCueContent(cue));
+        box.appendChild(line);
+      });
+    }
+    box.hidden = !box.childNodes.length;
+  }
 
-    return {
-      x: clamp(x, minX, maxX),
-      y: clamp(y, minY, maxY)
-    };
+  function onCueChange(container, video, track) {
+    const state = captionState.get(video);
+    const tracks = getCaptionTracks(video);
+    if (tracks[state.shown] === track) renderCaptions(container, video);
+    if (tracks[state.transcript] === track) highlightTranscriptCue(container, track);
   }
 
-  function enterHoverState(photo) {
-    if (window.matchMedia(MOBILE_QUERY).matches) return;
-    if (photo.dataset.state !== 'normal') return;
+  function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+  }
 
-    const currentX = parseFloat(photo.dataset.currentX) || 0;
-    const currentY = parseFloat(photo.dataset.currentY) || 0;
-    const currentRotation = parseFloat(photo.dataset.currentRotation) || 0;
+  function createTranscriptPanel(photo, video) {
+    const panel = document.createElement('div');
+    panel.className = 'pg-transcript';
+    panel.setAttribute('role', 'region');
+    panel.hidden = true;
 
-    const constrained = constrainToViewport(photo, currentX, currentY, CONFIG.hoverScale);
-    const targetRotation = currentRotation * (1 - CONFIG.hoverRotationReset);
+    const header = document.createElement('div');
+    header.className = 'pg-transcript-header';
 
-    photo.dataset.hoverRotation = targetRotation;
+    const title = document.createElement('span');
+    title.className = 'pg-transcript-title';
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'pg-transcript-close';
+    close.setAttribute('aria-label', 'Close transcript');
+    close.textContent = '×';
+    close.addEventListener('click', (e) => {
+      e.stopPropagation();
+      hideTranscript(photo, video);
+    });
+
+    header.append(title, close);
+
+    const list = document.createElement('ol');
+    list.className = 'pg-transcript-cues';
+    list.addEventListener('click', (e) => {
+      const item = e.target.closest('.pg-transcript-cue');
+      if (!item) return;
+      e.stopPropagation();
+      video.currentTime = parseFloat(item.dataset.start);
+      if (video.paused) playVideo(video);
+    });
+
+    panel.append(header, list);
+
+    // Scrolling and picking cues must not drag, dismiss or re-key the photo
+    ['pointerdown', 'pointerup', 'pointermove', 'keydown'].forEach(eventType => {
+      panel.addEventListener(eventType, (e) => e.stopPropagation());
+    });
+    panel.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') return;
+      hideTranscript(photo, video);
+      photo.querySelector('.video-transcript-toggle').focus();
+    });
+
+    photo.appendChild(panel);
+    return panel;
+  }
+
+  function toggleTranscript(photo, video) {
+    if (captionState.get(video).transcript === -1) showTranscript(photo, video);
+    else hideTranscript(photo, video);
+  }
+
+  function showTranscript(photo, video) {
+    const state = captionState.get(video);
+    const tracks = getCaptionTracks(video);
+    state.transcript = Math.max(state.shown, 0);  // The caption language, else the first track
+    applyCaptionModes(video);
+
+    const track = tracks[state.transcript];
+    const panel = photo.querySelector('.pg-transcript') || createTranscriptPanel(photo, video);
+    const list = panel.querySelector('.pg-transcript-cues');
+    panel.querySelector('.pg-transcript-title').textContent = `Transcript · ${track.label}`;
+    panel.setAttribute('aria-label', `Transcript (${track.label})`);
+    panel.hidden = false;
+
+    photo.classList.add('pg-transcript-open');
+    photo.querySelector('.video-transcript-toggle').setAttribute('aria-expanded', 'true');
+
+    // Cues arrive once 'hidden' mode has fetched the file
+    const element = [...video.querySelectorAll('track')].find(el => el.track === track);
+    const status = !element || element.readyState === 3 ? 'No transcript available'
+      : element.readyState === 2 ? null : 'Loading…';
+
+    if (!status) {
+      renderTranscript(photo, track);
+      return;
+    }
+
+    list.innerHTML = `<li class="pg-transcript-status">${status}</li>`;
+    if (status === 'Loading…') {
+      const onLoaded = () => {
+        if (getCaptionTracks(video)[captionState.get(video).transcript] === track) showTranscript(photo, video);
+      };
+      element.addEventListener('load', onLoaded, { once: true });
+      element.addEventListener('error', onLoaded, { once: true });
+    }
+  }
+
+  function renderTranscript(photo, track) {
+    const list = photo.querySelector('.pg-transcript-cues');
+    list.textContent = '';
+
+    [...(track.cues || [])].forEach(cue => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'pg-transcript-cue';
+      button.dataset.start = cue.startTime;
+
+      const time = document.createElement('span');
+      time.className = 'pg-transcript-time';
+      time.textContent = formatTime(cue.startTime);
+
+      button.append(time, getCueContent(cue));
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+
+    if (!list.childNodes.length) {
+      list.innerHTML = '<li class="pg-transcript-status">No transcript available</li>';
+      return;
+    }
+    highlightTranscriptCue(photo, track);
+  }
+
+  function highlightTranscriptCue(photo, track) {
+    const list = photo.querySelector('.pg-transcript-cues');
+    if (!list || !track.cues) return;
+
+    const active = new Set(track.activeCues ? [...track.activeCues] : []);
+    let current = null;
+    list.querySelectorAll('.pg-transcript-cue').forEach((button, i) => {
+      const isActive = active.has(track.cues[i]);
+      button.classList.toggle('active', isActive);
+      if (isActive) button.setAttribute('aria-current', 'true');
+      else button.removeAttribute('aria-current');
+      if (isActive && !current) current = button;
+    });
+
+    // Keep the current cue in view without scrolling the page
+    if (current) {
+      list.scrollTop = current.parentElement.offsetTop - (list.clientHeight - current.offsetHeight) / 2;
+    }
+  }
+
+  function hideTranscript(photo, video) {
+    const state = captionState.get(video);
+    if (!state || state.transcript === -1) return;
+
+    state.transcript = -1;
+    applyCaptionModes(video);
+
+    const panel = photo.querySelector('.pg-transcript');
+    if (panel) panel.hidden = true;
+    photo.classList.remove('pg-transcript-open');
+    photo.querySelector('.video-transcript-toggle').setAttribute('aria-expanded', 'false');
+  }
+
+  // ===========================================
+  // Playback Controls
+  // ===========================================
+
+  // Clicked gallery videos get a control bar. Like the toggle row it stops
+  // pointer events, so seeking never starts a drag or dismisses the photo.
+
+  function getDuration(video) {
+    // Manifest duration (data-images) until metadata arrives
+    if (isFinite(video.duration) && video.duration > 0) return video.duration;
+    return parseFloat(video.dataset.duration) || 0;
+  }
+
+  function addPlaybackControls(photo, video, item) {
+    if (item.duration) video.dataset.duration = item.duration;
+
+    const controls = document.createElement('div');
+    controls.className = 'pg-controls';
+
+    const play = document.createElement('button');
+    play.type = 'button';
+    play.className = 'pg-controls-play';
+    play.addEventListener('click', () => togglePlayback(video));
+
+    const timeline = document.createElement('div');
+    timeline.className = 'pg-timeline';
+    timeline.tabIndex = 0;
+    timeline.setAttribute('role', 'slider');
+    timeline.setAttribute('aria-label', 'Seek');
+    timeline.setAttribute('aria-valuemin', '0');
+    timeline.innerHTML = `
+      <div class="pg-timeline-track"><div class="pg-timeline-progress"></div></div>
+      <div class="pg-timeline-preview" hidden>
+        <div class="pg-timeline-frame"></div>
+        <span class="pg-timeline-time"></span>
+      </div>`;
+    setupTimeline(timeline, video, item);
+
+    const time = document.createElement('span');
+    time.className = 'pg-controls-time';
+
+    const speed = document.createElement('button');
+    speed.type = 'button';
+    speed.className = 'pg-controls-speed';
+    speed.addEventListener('click', () => cyclePlaybackRate(video));
+
+    controls.append(play, timeline, time, speed);
+
+    if (supportsPictureInPicture(video)) {
+      const pip = document.createElement('button');
+      pip.type = 'button';
+      pip.className = 'pg-controls-pip';
+      pip.innerHTML = ICONS.pictureInPicture;
+      pip.addEventListener('click', () => togglePictureInPicture(video));
+      controls.appendChild(pip);
+      watchPictureInPicture(photo, video);
+    }
+
+    if (supportsFullscreen(photo, video)) {
+      const fullscreen = document.createElement('button');
+      fullscreen.type = 'button';
+      fullscreen.className = 'pg-controls-fullscreen';
+      fullscreen.addEventListener('click', () => toggleFullscreen(photo, video));
+      controls.appendChild(fullscreen);
+    }
+
+    // Isolate from drag and dismiss; shortcuts still work from inside the bar
+    // and Escape still puts the photo down
+    ['pointerdown', 'pointerup', 'pointermove', 'click'].forEach(eventType => {
+      controls.addEventListener(eventType, (e) => e.stopPropagation());
+    });
+    controls.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') return;
+      if (e.target === timeline || !['Enter', ' '].includes(e.key)) handlePlaybackKey(photo, e);
+      e.stopPropagation();
+    });
+
+    ['play', 'pause', 'timeupdate', 'durationchange', 'loadedmetadata', 'ratechange', 'emptied'].forEach(eventType => {
+      video.addEventListener(eventType, () => updatePlaybackControls(photo, video));
+    });
+
+    photo.appendChild(controls);
+    updatePlaybackControls(photo, video);
+  }
+
+  function updatePlaybackControls(photo, video) {
+    const controls = photo.querySelector('.pg-controls');
+    if (!controls) return;
+
+    const duration = getDuration(video);
+    const current = Math.min(video.currentTime || 0, duration);
+    const paused = video.paused;
+
+    const play = controls.querySelector('.pg-controls-play');
+    play.innerHTML = paused ? ICONS.play : ICONS.pause;
+    play.setAttribute('aria-label', paused ? 'Play' : 'Pause');
+
+    const timeline = controls.querySelector('.pg-timeline');
+    timeline.setAttribute('aria-valuemax', String(Math.round(duration)));
+    timeline.setAttribute('aria-valuenow', String(Math.round(current)));
+    timeline.setAttribute('aria-valuetext', `${formatTime(current)} of ${formatTime(duration)}`);
+    controls.querySelector('.pg-timeline-progress').style.width = duration ? `${(current / duration) * 100}%` : '0';
+
+    controls.querySelector('.pg-controls-time').textContent = `${formatTime(current)} / ${formatTime(duration)}`;
+
+    const speed = controls.querySelector('.pg-controls-speed');
+    speed.textContent = `${video.playbackRate}×`;
+    speed.setAttribute('aria-label', `Playback speed ${video.playbackRate}x`);
+
+    const pip = controls.querySelector('.pg-controls-pip');
+    if (pip) {
+      const active = isInPictureInPicture(video);
+      pip.classList.toggle('active', active);
+      pip.setAttribute('aria-label', active ? 'Close picture-in-picture' : 'Picture-in-picture');
+    }
+
+    const fullscreen = controls.querySelector('.pg-controls-fullscreen');
+    if (fullscreen) {
+      const active = document.fullscreenElement === photo;
+      fullscreen.innerHTML = active ? ICONS.fullscreenExit : ICONS.fullscreen;
+      fullscreen.setAttribute('aria-label', active ? 'Exit fullscreen' : 'Fullscreen');
+    }
+  }
+
+  function togglePlayback(video) {
+    if (!video.paused) {
+      pauseVideo(video);
+      return;
+    }
+    // Never loaded, or unloaded by the memory budget - loadVideo plays once ready
+    if (!video.getAttribute('src')) {
+      video.dataset.userRequested = 'true';
+      loadVideo(video);
+      return;
+    }
+    playVideo(video);
+  }
+
+  function seekVideo(video, time) {
+    if (video.readyState < 1) return;  // No metadata yet - nothing to seek in
+    video.currentTime = clamp(time, 0, getDuration(video));
+  }
+
+  function cyclePlaybackRate(video) {
+    const rates = CONFIG.playbackRates;
+    const next = rates[(rates.indexOf(video.playbackRate) + 1) % rates.length];
+    // defaultPlaybackRate survives the reset when the budget unloads the video
+    video.defaultPlaybackRate = next;
+    video.playbackRate = next;
+  }
+
+  function handlePlaybackKey(photo, e) {
+    // J/K/L and Left/Right, for a clicked video with controls
+    if (e.ctrlKey || e.metaKey || e.altKey) return false;
+    const video = photo.querySelector('video');
+    if (!video || photo.dataset.state !== 'clicked' || !photo.querySelector('.pg-controls')) return false;
+
+    switch (e.key.length === 1 ? e.key.toLowerCase() : e.key) {
+      case 'k':
+        togglePlayback(video);
+        break;
+      case 'j':
+        seekVideo(video, video.currentTime - CONFIG.seekJump);
+        break;
+      case 'l':
+        seekVideo(video, video.currentTime + CONFIG.seekJump);
+        break;
+      case 'ArrowLeft':
+        seekVideo(video, video.currentTime - CONFIG.seekStep);
+        break;
+      case 'ArrowRight':
+        seekVideo(video, video.currentTime + CONFIG.seekStep);
+        break;
+      default:
+        return false;
+    }
+    e.preventDefault();
+    return true;
+  }
+
+  function setupTimeline(timeline, video, item) {
+    const preview = timeline.querySelector('.pg-timeline-preview');
+    let seeking = false;
+
+    function fractionAt(e) {
+      const rect = timeline.getBoundingClientRect();
+      return rect.width ? clamp((e.clientX - rect.left) / rect.width, 0, 1) : 0;
+    }
+
+    timeline.addEventListener('pointerdown', (e) => {
+      seeking = true;
+      timeline.setPointerCapture(e.pointerId);
+      seekVideo(video, fractionAt(e) * getDuration(video));
+    });
+
+    timeline.addEventListener('pointermove', (e) => {
+      const fraction = fractionAt(e);
+      if (seeking) seekVideo(video, fraction * getDuration(video));
+      if (e.pointerType !== 'touch') showTimelinePreview(preview, video, item, fraction);
+    });
+
+    ['pointerup', 'pointercancel'].forEach(eventType => {
+      timeline.addEventListener(eventType, () => { seeking = false; });
+    });
+
+    timeline.addEventListener('pointerleave', () => { preview.hidden = true; });
+  }
+
+  function showTimelinePreview(preview, video, item, fraction) {
+    const duration = getDuration(video);
+    if (!duration) return;
+
+    const time = fraction * duration;
+    const frame = preview.querySelector('.pg-timeline-frame');
+    const aspect = video.videoWidth && video.videoHeight
+      ? video.videoWidth / video.videoHeight
+      : (item.width && item.height ? item.width / item.height : 16 / 9);
+    frame.style.aspectRatio = String(aspect);
+
+    if (item.sprites) {
+      // Sprite sheet from process-video.sh: one frame per spriteInterval, spriteColumns per row
+      const columns = CONFIG.spriteColumns;
+      const count = Math.ceil(duration / CONFIG.spriteInterval);
+      const rows = Math.ceil(count / columns);
+      const index = Math.min(Math.floor(time / CONFIG.spriteInterval), count - 1);
+      const column = index % columns;
+      const row = Math.floor(index / columns);
+
+      frame.style.backgroundImage = `url("${item.sprites}")`;
+      frame.style.backgroundSize = `${columns * 100}% ${rows * 100}%`;
+      frame.style.backgroundPosition = `${columns > 1 ? (column / (columns - 1)) * 100 : 0}% ${rows > 1 ? (row / (rows - 1)) * 100 : 0}%`;
+    } else {
+      // No sprites - the preview GIF (or still thumb) stands in for every position
+      const still = wantsStillPreview() || !item.preview;
+      const src = still ? item.thumb : item.preview;
+      frame.style.backgroundImage = src ? `url("${src}")` : '';
+      frame.style.backgroundSize = 'cover';
+      frame.style.backgroundPosition = 'center';
+    }
+
+    preview.querySelector('.pg-timeline-time').textContent = formatTime(time);
+    preview.style.left = `${fraction * 100}%`;
+    preview.hidden = false;
+  }
+
+  // ===========================================
+  // Picture-in-Picture & Fullscreen
+  // ===========================================
+
+  // A video in a PiP window is still being watched wherever its tile is:
+  // the audio controller keeps it audible, unloadVideo and enterNormalState
+  // leave it playing. Fullscreen takes the whole photo so captions and the
+  // control bar come along.
+
+  function supportsPictureInPicture(video) {
+    if (document.pictureInPictureEnabled && !video.disablePictureInPicture) return true;
+    // Safari
+    return typeof video.webkitSupportsPresentationMode === 'function' &&
+      video.webkitSupportsPresentationMode('picture-in-picture');
+  }
+
+  function isInPictureInPicture(video) {
+    return document.pictureInPictureElement === video || video.webkitPresentationMode === 'picture-in-picture';
+  }
+
+  function enterPictureInPicture(video) {
+    if (!video.requestPictureInPicture) {
+      video.webkitSetPresentationMode('picture-in-picture');
+      return;
+    }
+    video.requestPictureInPicture().catch(err => {
+      log.warn('[pictureInPicture] Could not open:', err.message);
+    });
+  }
+
+  function leavePictureInPicture(video) {
+    if (document.pictureInPictureElement === video) return document.exitPictureInPicture();
+    if (video.webkitPresentationMode === 'picture-in-picture') video.webkitSetPresentationMode('inline');
+    return Promise.resolve();
+  }
+
+  function togglePictureInPicture(video) {
+    if (isInPictureInPicture(video)) {
+      leavePictureInPicture(video);
+      return;
+    }
+
+    // The window needs metadata - load first if the budget dropped it
+    if (video.readyState < 1) {
+      video.dataset.userRequested = 'true';
+      video.addEventListener('loadedmetadata', () => enterPictureInPicture(video), { once: true });
+      loadVideo(video);
+      return;
+    }
+    enterPictureInPicture(video);
+  }
+
+  function watchPictureInPicture(photo, video) {
+    const onChange = () => {
+      const active = isInPictureInPicture(video);
+      log.debug('[pictureInPicture]', active ? 'Opened' : 'Closed', video.dataset.videoSrc);
+      photo.classList.toggle('pg-pip', active);
+      updatePlaybackControls(photo, video);
+
+      // Closed while the tile is put down - park it like enterNormalState would
+      if (!active && photo.dataset.state === 'normal' && photo.isConnected) {
+        if (!video.muted) audioController.setAudioInactive(video);
+        pauseVideo(video);
+        showPreview(photo);
+      }
+    };
+
+    ['enterpictureinpicture', 'leavepictureinpicture', 'webkitpresentationmodechanged'].forEach(eventType => {
+      video.addEventListener(eventType, onChange);
+    });
+  }
+
+  function supportsFullscreen(photo, video) {
+    // iPhone has no element fullscreen, only the video's native player
+    return Boolean(document.fullscreenEnabled && photo.requestFullscreen) || typeof video.webkitEnterFullscreen === 'function';
+  }
+
+  function toggleFullscreen(photo, video) {
+    if (document.fullscreenElement === photo) {
+      document.exitFullscreen().catch(() => {});
+      return;
+    }
+    if (document.fullscreenEnabled && photo.requestFullscreen) {
+      photo.requestFullscreen().catch(err => {
+        log.warn('[fullscreen] Could not enter:', err.message);
+      });
+    } else {
+      video.webkitEnterFullscreen();
+    }
+  }
+
+  function onFullscreenChange() {
+    document.querySelectorAll('.pg-photo').forEach(photo => {
+      const video = photo.querySelector('video');
+      if (video) updatePlaybackControls(photo, video);
+    });
+  }
+
+  // ===========================================
+  // Now Playing
+  // ===========================================
+
+  // While a video is audible a floating chip names it and offers mute and
+  // scroll-back, and the Media Session gives it OS-level controls. With the
+  // chip on, audio carries on when the video scrolls out of view.
+
+  const nowPlaying = { element: null, video: null };
+
+  function getVideoLabel(video) {
+    // Same text as the tile's .pg-filename
+    const src = video.dataset.videoSrc || video.dataset.lazySrc || video.currentSrc;
+    return (src && getLabelText(src)) || 'Video';
+  }
+
+  function createNowPlayingChip() {
+    const chip = document.createElement('div');
+    chip.className = 'pg-now-playing';
+    chip.setAttribute('role', 'region');
+    chip.setAttribute('aria-label', 'Now playing');
+    chip.hidden = true;
+
+    const title = document.createElement('button');
+    title.type = 'button';
+    title.className = 'pg-now-playing-title';
+    title.addEventListener('click', () => {
+      if (nowPlaying.video) scrollToVideo(nowPlaying.video);
+    });
+
+    const mute = document.createElement('button');
+    mute.type = 'button';
+    mute.className = 'pg-now-playing-mute';
+    mute.setAttribute('aria-label', 'Mute');
+    mute.innerHTML = ICONS.unmuted;
+    mute.addEventListener('click', () => {
+      if (nowPlaying.video) audioController.setAudioInactive(nowPlaying.video);
+    });
+
+    chip.append(title, mute);
+    document.body.appendChild(chip);
+    nowPlaying.element = chip;
+    return chip;
+  }
+
+  function updateNowPlaying() {
+    const video = audioController.activeVideo;
+    if (video === nowPlaying.video) return;
+
+    nowPlaying.video = video;
+    updateMediaSession(video);
+    if (!CONFIG.nowPlaying) return;
+
+    const chip = nowPlaying.element || createNowPlayingChip();
+    chip.hidden = !video;
+    if (!video) return;
+
+    const label = getVideoLabel(video);
+    const title = chip.querySelector('.pg-now-playing-title');
+    title.textContent = label;
+    title.title = 'Scroll to video';
+    title.setAttribute('aria-label', `Scroll to video: ${label}`);
+  }
+
+  function scrollToVideo(video) {
+    const container = video.closest('.pg-photo, .pg-lightbox-frame, .taped-image') || video;
+    container.scrollIntoView({ block: 'center', behavior: isReducedMotion() ? 'auto' : 'smooth' });
+  }
+
+  function updateMediaSession(video) {
+    if (!('mediaSession' in navigator)) return;
+    const session = navigator.mediaSession;
+
+    if (!video) {
+      session.metadata = null;
+      session.playbackState = 'none';
+      return;
+    }
+
+    if (window.MediaMetadata) {
+      const poster = video.getAttribute('poster');
+      session.metadata = new MediaMetadata({
+        title: getVideoLabel(video),
+        artist: document.title,
+        artwork: poster ? [{ src: new URL(poster, location.href).href }] : []
+      });
+    }
+    syncMediaSessionState(video);
+  }
+
+  function syncMediaSessionState(video) {
+    const session = navigator.mediaSession;
+    session.playbackState = video.paused ? 'paused' : 'playing';
+
+    if (!session.setPositionState || !isFinite(video.duration) || video.duration <= 0) return;
+    try {
+      session.setPositionState({
+        duration: video.duration,
+        playbackRate: video.playbackRate,
+        position: Math.min(video.currentTime, video.duration)
+      });
+    } catch (e) {
+      // Mid-seek values can be briefly out of range
+    }
+  }
+
+  function initMediaSession() {
+    if (!('mediaSession' in navigator)) return;
+
+    const actions = {
+      play: (video) => playVideo(video),
+      pause: (video) => pauseVideo(video),
+      stop: (video) => audioController.setAudioInactive(video),
+      seekbackward: (video, details) => seekVideo(video, video.currentTime - (details.seekOffset || CONFIG.seekJump)),
+      seekforward: (video, details) => seekVideo(video, video.currentTime + (details.seekOffset || CONFIG.seekJump)),
+      seekto: (video, details) => seekVideo(video, details.seekTime)
+    };
+
+    Object.keys(actions).forEach(action => {
+      try {
+        navigator.mediaSession.setActionHandler(action, (details) => {
+          const video = audioController.activeVideo;
+          if (video) actions[action](video, details || {});
+        });
+      } catch (e) {
+        // Action not supported by this browser
+      }
+    });
+
+    // Media events don't bubble - capture them for the active video
+    ['play', 'pause', 'seeked', 'ratechange'].forEach(eventType => {
+      document.addEventListener(eventType, (e) => {
+        if (e.target === audioController.activeVideo) syncMediaSessionState(e.target);
+      }, true);
+    });
+  }
+
+  // ===========================================
+  // Error Handling & Retry
+  // ===========================================
+
+  const retryState = new Map();  // video/img -> { attempts, timer }
+
+  // Schedules the next automatic attempt; returns its delay, or null once attempts run out
+  function scheduleRetry(el, retry) {
+    const state = retryState.get(el) || { attempts: 0, timer: null };
+    if (state.attempts >= CONFIG.retryAttempts) return null;
+
+    const delay = Math.min(CONFIG.retryBaseDelay * Math.pow(2, state.attempts), CONFIG.retryMaxDelay);
+    state.attempts++;
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      retry();
+    }, delay);
+    retryState.set(el, state);
+    return delay;
+  }
+
+  function cancelRetry(el) {
+    const state = retryState.get(el);
+    if (state && state.timer) clearTimeout(state.timer);
+    retryState.delete(el);
+  }
+
+  function hasPendingRetry(el) {
+    const state = retryState.get(el);
+    return Boolean(state && state.timer);
+  }
+
+  // Bubbles from the <video>/<img>, so listeners on the gallery or document see every failure
+  function reportMediaError(el, type, src, err, final) {
+    const state = retryState.get(el);
+    emit(el, `${type}error`, {
+      src: src,
+      message: err.message,
+      attempt: state ? state.attempts : CONFIG.retryAttempts,
+      final: final
+    });
+  }
+
+  function showErrorTile(container, message, onRetry) {
+    removeErrorTile(container);
+
+    const tile = document.createElement('div');
+    tile.className = 'pg-error';
+    tile.setAttribute('role', 'alert');
+
+    const text = document.createElement('span');
+    text.className = 'pg-error-text';
+    text.textContent = message;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'pg-error-retry';
+    button.textContent = 'Retry';
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      removeErrorTile(container);
+      onRetry();
+    });
+
+    // Stop pointer and key events so retrying doesn't change photo state
+    ['pointerdown', 'pointerup', 'pointermove', 'keydown'].forEach(eventType => {
+      tile.addEventListener(eventType, (e) => e.stopPropagation());
+    });
+
+    tile.appendChild(text);
+    tile.appendChild(button);
+    container.appendChild(tile);
+    container.classList.add('pg-failed');
+  }
+
+  function removeErrorTile(container) {
+    const tile = container.querySelector('.pg-error');
+    if (tile) tile.remove();
+    container.classList.remove('pg-failed');
+  }
+
+  // ===========================================
+  // Load Policy (load-policy.js)
+  // ===========================================
+
+  function isConstrained() {
+    return Boolean(window.loadPolicy && window.loadPolicy.constrained);
+  }
+
+  function isReducedMotion() {
+    return Boolean(window.motionPrefs && window.motionPrefs.reduced);
+  }
+
+  function allowsAutoload(video) {
+    // On a constrained connection only an explicit tap fetches a video
+    return !isConstrained() || videoBudget.has(video) || video.dataset.userRequested === 'true';
+  }
+
+  function allowsAutoplay(video) {
+    // Reduced motion: nothing moves until the visitor asks for it
+    if (isReducedMotion()) return video.dataset.userRequested === 'true';
+    return allowsAutoload(video);
+  }
+
+  function wantsStillPreview() {
+    return isConstrained() || isReducedMotion();
+  }
+
+  function applyPolicyMargins() {
+    if (!window.loadPolicy) return;
+    CONFIG.lazyLoadMargin = window.loadPolicy.margins.lazyLoad;
+    CONFIG.videoUnloadMargin = window.loadPolicy.margins.videoUnload;
+  }
+
+  applyPolicyMargins();
+
+  function showLoadButton(container, video) {
+    if (container.querySelector('.pg-load-button')) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'pg-load-button';
+    button.setAttribute('aria-label', 'Play video');
+    button.innerHTML = ICONS.play;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      video.dataset.userRequested = 'true';
+      button.remove();
+      loadVideo(video);
+      playVideo(video);
+    });
+    ['pointerdown', 'pointerup'].forEach(eventType => {
+      button.addEventListener(eventType, (e) => e.stopPropagation());
+    });
+
+    container.appendChild(button);
+  }
+
+  function onLoadPolicyChange() {
+    applyPolicyMargins();
+    log.info('[loadPolicy] Margins now', CONFIG.lazyLoadMargin, CONFIG.videoUnloadMargin);
+
+    // rootMargin is fixed per observer - rebuild them and re-observe
+    galleryLazyObserver.disconnect();
+    galleryLazyObserver = createGalleryLazyObserver();
+    videoUnloadObserver.disconnect();
+    videoUnloadObserver = createVideoUnloadObserver();
+
+    document.querySelectorAll('.pg-gallery').forEach(gallery => {
+      if (!galleryItems.has(gallery)) return;
+      if (gallery.querySelector('img[data-src]')) galleryLazyObserver.observe(gallery);
+      gallery.querySelectorAll('.pg-photo video').forEach(video => videoUnloadObserver.observe(video));
+    });
+
+    refreshPreviews();
+    if (!isConstrained()) refreshHeroAutoplay();
+  }
+
+  function refreshHeroAutoplay() {
+    // Hero videos waiting on a tap can autoplay again - re-observing re-runs
+    // the autoplay check, which puts the button back if still not allowed
+    document.querySelectorAll('.taped-image .pg-load-button').forEach(button => {
+      const video = button.parentElement.querySelector('video');
+      button.remove();
+      if (video) {
+        heroPlaybackObserver.unobserve(video);
+        heroPlaybackObserver.observe(video);
+      }
+    });
+  }
+
+  function refreshPreviews() {
+    // Swap loaded previews between the animated GIF and the still thumb
+    const still = wantsStillPreview();
+    document.querySelectorAll('.pg-gallery .pg-preview').forEach(img => {
+      if (img.dataset.src) return;  // Not loaded yet - loadGalleryAssets picks
+      const video = img.parentElement.querySelector('video');
+      const poster = video && video.getAttribute('poster');
+
+      if (still && poster && !img.dataset.animatedSrc && img.getAttribute('src') !== poster) {
+        img.dataset.animatedSrc = img.getAttribute('src');
+        img.src = poster;
+      } else if (!still && img.dataset.animatedSrc) {
+        img.src = img.dataset.animatedSrc;
+        delete img.dataset.animatedSrc;
+      }
+    });
+  }
+
+  // ===========================================
+  // Motion Preferences (motion-prefs.js)
+  // ===========================================
+
+  function onMotionPrefsChange(reduced) {
+    log.info('[motionPrefs] Reduced motion', reduced ? 'on' : 'off');
+    refreshPreviews();
+
+    if (!reduced) {
+      refreshHeroAutoplay();
+      return;
+    }
+
+    // Stop hero videos that started on their own - one the visitor
+    // unmuted or tapped keeps playing
+    document.querySelectorAll('.taped-image video').forEach(video => {
+      if (video.paused || !video.muted || video.dataset.userRequested === 'true') return;
+      pauseVideo(video);
+      showLoadButton(video.closest('.taped-image'), video);
+    });
+  }
+
+  // ===========================================
+  // Responsive Images
+  // ===========================================
+
+  // Formats offered as <source> ahead of the <img> fallback, best first
+  const SOURCE_FORMATS = { avif: 'image/avif', webp: 'image/webp' };
+  const FALLBACK_FORMATS = ['jpg', 'jpeg', 'png'];
+
+  function createResponsiveImage(img, item) {
+    const variants = item.variants || {};
+    const fallback = item.srcset || FALLBACK_FORMATS.map(format => variants[format]).find(Boolean);
+    if (fallback) img.dataset.srcset = fallback;
+    if (item.sizes) img.dataset.sizes = item.sizes;
+
+    const formats = Object.keys(SOURCE_FORMATS).filter(format => variants[format]);
+    if (!formats.length) return img;
+
+    // srcset stays in data- attributes until loadGalleryAssets, like data-src
+    const picture = document.createElement('picture');
+    formats.forEach(format => {
+      const source = document.createElement('source');
+      source.type = SOURCE_FORMATS[format];
+      source.dataset.srcset = variants[format];
+      picture.appendChild(source);
+    });
+    picture.appendChild(img);
+    return picture;
+  }
+
+  function getImageCandidates(img) {
+    const picture = img.closest('picture');
+    return picture ? [...picture.querySelectorAll('source'), img] : [img];
+  }
+
+  function applyResponsiveSources(img) {
+    const candidates = getImageCandidates(img);
+    if (!candidates.some(el => el.dataset.srcset)) return;
+
+    // Tiles only need a tile-sized rendition; showHiResImage raises sizes when clicked
+    const photo = img.closest('.pg-photo');
+    const sizes = img.dataset.sizes || `${(photo && photo.offsetWidth) || CONFIG.photoSize}px`;
+    delete img.dataset.sizes;
+
+    // sizes before srcset, so the browser never picks against the default 100vw
+    candidates.forEach(el => {
+      el.sizes = sizes;
+      if (el.dataset.srcset) {
+        el.srcset = el.dataset.srcset;
+        delete el.dataset.srcset;
+      }
+    });
+  }
+
+  function dropResponsiveSources(img) {
+    // A missing rendition falls back to the original file
+    const picture = img.closest('picture');
+    if (picture) picture.querySelectorAll('source').forEach(source => source.remove());
+    img.removeAttribute('srcset');
+    img.removeAttribute('sizes');
+  }
+
+  function showHiResImage(photo, scale) {
+    const img = photo.querySelector('.pg-photo-inner img:not(.pg-preview)');
+    if (!img || !img.srcset) return;  // A plain src is already full size
+
+    // Larger sizes make the browser fetch a bigger candidate; it never downgrades after
+    const sizes = `${Math.ceil(photo.offsetWidth * scale)}px`;
+    getImageCandidates(img).forEach(el => {
+      if (parseFloat(el.sizes) < parseFloat(sizes)) el.sizes = sizes;
+    });
+  }
+
+  // ===========================================
+  // Gallery Mode
+  // ===========================================
+
+  const Z_INDEX_HOVER = 10000;
+  const Z_INDEX_CLICKED = 10001;
+
+  function idleDragState() {
+    return {
+      active: false,
+      photo: null,
+      pointerId: null,
+      startX: 0,
+      startY: 0,
+      offsetX: 0,
+      offsetY: 0,
+      lastX: 0,
+      lastY: 0,
+      lastTime: 0,
+      velocity: 0,
+      hasDragged: false,
+      isFirstClick: false
+    };
+  }
+
+  // Drag state
+  let dragState = idleDragState();
+
+  // Touch tap state - normal/hover photos only advance on a tap, so a
+  // touch that turns into a page scroll never lifts a photo
+  let tapState = { photo: null, pointerId: null, startX: 0, startY: 0 };
+
+  // Pinch state - two touch pointers on a clicked photo
+  const activeTouches = new Map();  // pointerId -> { x, y }
+  let pinchState = { active: false, photo: null, startDistance: 0, startScale: 1 };
+
+  function randomInRange(min, max) {
+    return Math.random() * (max - min) + min;
+  }
+
+  function clamp(val, min, max) {
+    return Math.max(min, Math.min(max, val));
+  }
+
+  function updateShine(photo, tiltX, tiltY) {
+    const catchX = -tiltX / 20;
+    const catchY = tiltY / 20;
+    const catchAmount = (catchX + catchY) / 2;
+    const intensity = clamp(catchAmount + 0.2, 0, 1);
+    photo.style.setProperty('--shine-intensity', intensity);
+  }
+
+  function updateShineFromRotation(photo, rotation) {
+    photo.style.setProperty('--shine-intensity', 0.15);
+  }
+
+  function showVideo(photo) {
+    const video = photo.querySelector('video');
+    const preview = photo.querySelector('.pg-preview');
+    if (video) video.style.display = 'block';
+    if (preview) preview.style.display = 'none';
+  }
+
+  function showPreview(photo) {
+    const video = photo.querySelector('video');
+    const preview = photo.querySelector('.pg-preview');
+    if (video) video.style.display = 'none';
+    if (preview) preview.style.display = 'block';
+  }
+
+  function loadAndPlayGalleryVideo(photo, explicit = false) {
+    const video = photo.querySelector('video');
+    if (!video) return;
+
+    if (explicit) {
+      if (allowsAutoplay(video)) return;  // Hover already started it
+      video.dataset.userRequested = 'true';
+    } else if (!allowsAutoplay(video)) {
+      return;  // Constrained connection or reduced motion - wait for the click
+    }
+
+    // Always go through loadVideo - it handles all cases robustly
+    loadVideo(video);
+  }
+
+  function constrainToViewport(photo, x, y, scale) {
+    // Get photo's base dimensions
+    const photoWidth = photo.offsetWidth;
+    const photoHeight = photo.offsetHeight;
+    const scaledHalfWidth = (photoWidth * scale) / 2;
+    const scaledHalfHeight = (photoHeight * scale) / 2;
+
+    // Get photo's original center position (without transform)
+    // offsetLeft/Top gives position relative to offsetParent
+    // We need to get the absolute position on the page
+    let el = photo;
+    let baseLeft = 0;
+    let baseTop = 0;
+    while (el) {
+      baseLeft += el.offsetLeft;
+      baseTop += el.offsetTop;
+      el = el.offsetParent;
+    }
+    // Account for scroll
+    baseLeft -= window.scrollX;
+    baseTop -= window.scrollY;
+
+    // Photo center in viewport coordinates (before any translate)
+    const centerX = baseLeft + photoWidth / 2;
+    const centerY = baseTop + photoHeight / 2;
+
+    // After translate(x, y), the center will be at (centerX + x, centerY + y)
+    // The scaled photo edges will be at:
+    //   left edge: centerX + x - scaledHalfWidth
+    //   right edge: centerX + x + scaledHalfWidth
+    //   top edge: centerY + y - scaledHalfHeight
+    //   bottom edge: centerY + y + scaledHalfHeight
+
+    // Constrain so edges stay within viewport [0, window.innerWidth] and [0, window.innerHeight]
+    // left edge >= 0:  centerX + x - scaledHalfWidth >= 0  =>  x >= scaledHalfWidth - centerX
+    // right edge <= W: centerX + x + scaledHalfWidth <= W  =>  x <= W - centerX - scaledHalfWidth
+    // top edge >= 0:   centerY + y - scaledHalfHeight >= 0 =>  y >= scaledHalfHeight - centerY
+    // bottom edge <= H: centerY + y + scaledHalfHeight <= H => y <= H - centerY - scaledHalfHeight
+
+    const minX = scaledHalfWidth - centerX;
+    const maxX = window.innerWidth - centerX - scaledHalfWidth;
+    const minY = scaledHalfHeight - centerY;
+    const maxY = window.innerHeight - centerY - scaledHalfHeight;
+
+    return {
+      x: clamp(x, minX, maxX),
+      y: clamp(y, minY, maxY)
+    };
+  }
+
+  function getPhotoScale(photo) {
+    return parseFloat(photo.dataset.scale) || CONFIG.clickedScale;
+  }
+
+  function getFitScale(photo) {
+    // Largest scale at which the whole photo still fits inside the viewport
+    const fit = Math.min(
+      window.innerWidth / photo.offsetWidth,
+      window.innerHeight / photo.offsetHeight
+    ) * CONFIG.viewportFill;
+    return Math.max(CONFIG.hoverScale, fit);
+  }
+
+  function getHoverScale(photo) {
+    const gallery = photo.closest('.pg-gallery');
+    return gallery && getLayout(gallery) === 'carousel' ? CONFIG.carouselHoverScale : CONFIG.hoverScale;
+  }
+
+  function enterHoverState(photo) {
+    if (photo.dataset.state !== 'normal') return;
+
+    const currentX = parseFloat(photo.dataset.currentX) || 0;
+    const currentY = parseFloat(photo.dataset.currentY) || 0;
+    const currentRotation = parseFloat(photo.dataset.currentRotation) || 0;
+
+    const hoverScale = getHoverScale(photo);
+    const constrained = constrainToViewport(photo, currentX, currentY, hoverScale);
+    const targetRotation = currentRotation * (1 - CONFIG.hoverRotationReset);
+
+    photo.dataset.hoverRotation = targetRotation;
     photo.dataset.hoverX = constrained.x;
     photo.dataset.hoverY = constrained.y;
+    photo.style.setProperty('--pg-scale', hoverScale);
     photo.dataset.state = 'hover';
     photo.classList.add('hovering');
     photo.style.setProperty('--tilt-speed', CONFIG.tiltSpeed + 'ms');
     photo.style.zIndex = Z_INDEX_HOVER;
 
-    photo.style.transform = `translate(${constrained.x}px, ${constrained.y}px) rotate(${targetRotation}deg) scale(${CONFIG.hoverScale}) rotateX(0deg) rotateY(0deg)`;
+    photo.style.transform = `translate(${constrained.x}px, ${constrained.y}px) rotate(${targetRotation}deg) scale(${hoverScale}) rotateX(0deg) rotateY(0deg)`;
+
+    showVideo(photo);
+    loadAndPlayGalleryVideo(photo);
+    emitStateChange(photo, 'normal');
+  }
+
+  function enterClickedState(photo, scale = CONFIG.clickedScale) {
+    if (photo.dataset.state !== 'hover') return;
+
+    // Lightbox galleries open the overlay instead of enlarging in place
+    const gallery = photo.closest('.pg-gallery');
+    if (gallery && usesLightbox(gallery)) {
+      enterNormalState(photo);
+      openLightbox(gallery, parseInt(photo.dataset.index, 10));
+      return;
+    }
+
+    const currentX = parseFloat(photo.dataset.currentX) || 0;
+    const currentY = parseFloat(photo.dataset.currentY) || 0;
+    const constrained = constrainToViewport(photo, currentX, currentY, scale);
+
+    photo.dataset.state = 'clicked';
+    photo.dataset.scale = scale;
+    photo.style.setProperty('--pg-scale', scale);  // Captions and transcript counter the zoom
+    setExpanded(photo, true);
+    photo.dataset.currentX = constrained.x;
+    photo.dataset.currentY = constrained.y;
+    photo.classList.add('clicked');
+    photo.classList.remove('tilt-right', 'tilt-left', 'tilt-up', 'tilt-down');
+    photo.style.zIndex = Z_INDEX_CLICKED;
+
+    photo.style.transform = `translate(${constrained.x}px, ${constrained.y}px) rotate(0deg) scale(${scale}) rotateX(0deg) rotateY(0deg)`;
+    photo.style.setProperty('--shine-intensity', 0.1);
+    showHiResImage(photo, scale);
+    loadAndPlayGalleryVideo(photo, true);
+    emitStateChange(photo, 'hover');
+
+    if (gallery) routeOpened(gallery, parseInt(photo.dataset.index, 10));
+  }
+
+  function enterNormalState(photo) {
+    if (photo.dataset.state === 'normal') return;
+    const previousState = photo.dataset.state;
+    const wasClicked = previousState === 'clicked';
+
+    const video = photo.querySelector('video');
+    // Audible or in a PiP window - keep it playing
+    const watched = video && (!video.muted || isInPictureInPicture(video));
+    if (video && !watched) {
+      if (pendingFetches.has(video) || hasPendingRetry(video)) {
+        // Still loading - cancel rather than keep downloading off-screen
+        unloadVideo(video);
+      } else {
+        // Park the video - it stays loaded until the memory budget evicts it
+        pauseVideo(video);
+        removeLoadingBar(photo);
+        showPreview(photo);
+      }
+    }
+
+    if (video) hideTranscript(photo, video);
+    if (video && document.fullscreenElement === photo) toggleFullscreen(photo, video);
+
+    photo.classList.remove('hovering', 'clicked', 'tilt-right', 'tilt-left', 'tilt-up', 'tilt-down');
+    photo.dataset.state = 'normal';
+    setExpanded(photo, false);
+    delete photo.dataset.scale;
+    photo.style.removeProperty('--pg-scale');
+    photo.style.zIndex = '';
+
+    const currentX = parseFloat(photo.dataset.currentX) || 0;
+    const currentY = parseFloat(photo.dataset.currentY) || 0;
+    const originX = parseFloat(photo.dataset.originX) || 0;
+    const originY = parseFloat(photo.dataset.originY) || 0;
+
+    // Reduced motion: put it back down exactly where it was
+    const drift = isReducedMotion() ? 0 : CONFIG.putDownDrift;
+    let newX = currentX + randomInRange(-drift, drift);
+    let newY = currentY + randomInRange(-drift, drift);
+    const newRotation = isReducedMotion()
+      ? parseFloat(photo.dataset.currentRotation) || 0
+      : randomInRange(-CONFIG.putDownRotation, CONFIG.putDownRotation);
+
+    newX = clamp(newX, originX - CONFIG.maxDriftFromOrigin, originX + CONFIG.maxDriftFromOrigin);
+    newY = clamp(newY, originY - CONFIG.maxDriftFromOrigin, originY + CONFIG.maxDriftFromOrigin);
+
+    photo.dataset.currentX = newX;
+    photo.dataset.currentY = newY;
+    photo.dataset.currentRotation = newRotation;
+
+    photo.style.transform = `translate(${newX}px, ${newY}px) rotate(${newRotation}deg) scale(1) rotateX(0deg) rotateY(0deg)`;
+    updateShineFromRotation(photo, newRotation);
+    emitStateChange(photo, previousState);
+
+    if (wasClicked) {
+      const gallery = photo.closest('.pg-gallery');
+      if (gallery) routeClosed(gallery, parseInt(photo.dataset.index, 10));
+    }
+  }
+
+  function onPhotoPointerMove(photo, e) {
+    if (photo.dataset.state !== 'hover') return;
+    if (e.pointerType === 'touch') return;
+
+    // Skip tilt for videos — 3D transforms distort audio toggle hit area
+    if (photo.querySelector('video')) return;
+    if (isReducedMotion()) return;
+
+    const rect = photo.getBoundingClientRect();
+    const centerX = rect.left + rect.width / 2;
+    const centerY = rect.top + rect.height / 2;
+
+    const relX = (e.clientX - centerX) / (rect.width / 2);
+    const relY = (e.clientY - centerY) / (rect.height / 2);
+
+    const tiltX = relY * CONFIG.hoverTilt;
+    const tiltY = -relX * CONFIG.hoverTilt;
+
+    const hoverX = parseFloat(photo.dataset.hoverX);
+    const hoverY = parseFloat(photo.dataset.hoverY);
+    const hoverRotation = parseFloat(photo.dataset.hoverRotation);
+
+    photo.style.transform = `translate(${hoverX}px, ${hoverY}px) rotate(${hoverRotation}deg) scale(${getHoverScale(photo)}) rotateX(${tiltX}deg) rotateY(${tiltY}deg)`;
+
+    photo.classList.toggle('tilt-right', tiltY < -2);
+    photo.classList.toggle('tilt-left', tiltY > 2);
+    photo.classList.toggle('tilt-up', tiltX < -2);
+    photo.classList.toggle('tilt-down', tiltX > 2);
+
+    updateShine(photo, tiltX, tiltY);
+  }
+
+  function startDrag(photo, e) {
+    if (photo.dataset.state !== 'clicked') return;
+
+    e.preventDefault();
+
+    const currentX = parseFloat(photo.dataset.currentX) || 0;
+    const currentY = parseFloat(photo.dataset.currentY) || 0;
+
+    dragState = {
+      ...idleDragState(),
+      active: true,
+      photo: photo,
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      offsetX: currentX,
+      offsetY: currentY,
+      lastX: e.clientX,
+      lastY: e.clientY,
+      lastTime: e.timeStamp
+    };
+
+    photo.style.transition = 'none';
+  }
+
+  function onPhotoPointerDown(photo, e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    if (e.pointerType === 'touch') {
+      activeTouches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      if (photo.dataset.state === 'clicked') {
+        if (activeTouches.size === 2) {
+          startPinch(photo);
+        } else if (!pinchState.active) {
+          startDrag(photo, e);
+        }
+      } else {
+        tapState = { photo, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY };
+      }
+      return;
+    }
+
+    if (photo.dataset.state === 'normal' && photo.dataset.justDismissed) {
+      delete photo.dataset.justDismissed;
+      enterHoverState(photo);
+    } else if (photo.dataset.state === 'hover') {
+      enterClickedState(photo);
+      // Start drag but mark as first click (don't dismiss on pointerup unless dragged)
+      startDrag(photo, e);
+      dragState.isFirstClick = true;
+    } else if (photo.dataset.state === 'clicked') {
+      startDrag(photo, e);
+      dragState.isFirstClick = false;
+    }
+  }
+
+  function startPinch(photo) {
+    const [a, b] = [...activeTouches.values()];
+
+    // The first finger's drag becomes part of the pinch
+    if (dragState.active && dragState.photo === photo) {
+      photo.dataset.currentX = photo.dataset.dragX || photo.dataset.currentX;
+      photo.dataset.currentY = photo.dataset.dragY || photo.dataset.currentY;
+    }
+    dragState = idleDragState();
+
+    pinchState = {
+      active: true,
+      photo: photo,
+      startDistance: Math.hypot(b.x - a.x, b.y - a.y) || 1,
+      startScale: getPhotoScale(photo)
+    };
+    photo.style.transition = 'none';
+  }
+
+  function updatePinch() {
+    const photo = pinchState.photo;
+    const [a, b] = [...activeTouches.values()];
+    const distance = Math.hypot(b.x - a.x, b.y - a.y);
+    const scale = clamp(pinchState.startScale * distance / pinchState.startDistance, CONFIG.hoverScale, getFitScale(photo));
+
+    const currentX = parseFloat(photo.dataset.currentX) || 0;
+    const currentY = parseFloat(photo.dataset.currentY) || 0;
+    const constrained = constrainToViewport(photo, currentX, currentY, scale);
+
+    photo.dataset.scale = scale;
+    photo.style.setProperty('--pg-scale', scale);
+    photo.dataset.currentX = constrained.x;
+    photo.dataset.currentY = constrained.y;
+    photo.style.transform = `translate(${constrained.x}px, ${constrained.y}px) rotate(0deg) scale(${scale}) rotateX(0deg) rotateY(0deg)`;
+  }
+
+  function endPinch() {
+    const photo = pinchState.photo;
+    photo.style.transition = `transform ${CONFIG.transitionSpeed}ms ease, box-shadow ${CONFIG.transitionSpeed}ms ease`;
+    pinchState = { active: false, photo: null, startDistance: 0, startScale: 1 };
+    emitDragEnd(photo, 'pinch');
+  }
+
+  function emitDragEnd(photo, gesture) {
+    emit(photo, 'dragend', {
+      gesture,
+      x: parseFloat(photo.dataset.currentX) || 0,
+      y: parseFloat(photo.dataset.currentY) || 0,
+      scale: getPhotoScale(photo),
+      ...getPhotoDetail(photo)
+    });
+  }
+
+  function onDocumentPointerMove(e) {
+    if (activeTouches.has(e.pointerId)) {
+      activeTouches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (pinchState.active && activeTouches.size >= 2) {
+        updatePinch();
+        return;
+      }
+    }
+
+    if (!dragState.active || e.pointerId !== dragState.pointerId) return;
+
+    const photo = dragState.photo;
+    const dx = e.clientX - dragState.startX;
+    const dy = e.clientY - dragState.startY;
+
+    // Release velocity, used to tell a swipe from a drag
+    const dt = e.timeStamp - dragState.lastTime;
+    if (dt > 0) {
+      dragState.velocity = Math.hypot(e.clientX - dragState.lastX, e.clientY - dragState.lastY) / dt;
+    }
+    dragState.lastX = e.clientX;
+    dragState.lastY = e.clientY;
+    dragState.lastTime = e.timeStamp;
+
+    if (!dragState.hasDragged) {
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance > CONFIG.dragThreshold) {
+        dragState.hasDragged = true;
+      } else {
+        return;
+      }
+    }
+
+    const rawX = dragState.offsetX + dx;
+    const rawY = dragState.offsetY + dy;
+    const scale = getPhotoScale(photo);
+    const constrained = constrainToViewport(photo, rawX, rawY, scale);
+
+    photo.dataset.dragX = constrained.x;
+    photo.dataset.dragY = constrained.y;
+
+    photo.style.transform = `translate(${constrained.x}px, ${constrained.y}px) rotate(0deg) scale(${scale}) rotateX(0deg) rotateY(0deg)`;
+  }
+
+  function isSwipe(e) {
+    if (e.pointerType !== 'touch') return false;
+    const distance = Math.hypot(e.clientX - dragState.startX, e.clientY - dragState.startY);
+    return distance > CONFIG.swipeDistance && dragState.velocity > CONFIG.swipeVelocity;
+  }
+
+  function onDocumentPointerUp(e) {
+    if (activeTouches.delete(e.pointerId) && pinchState.active) {
+      // Lifting either finger ends the pinch; never treat it as a tap
+      endPinch();
+      return;
+    }
+
+    if (tapState.pointerId === e.pointerId) {
+      const photo = tapState.photo;
+      const moved = Math.hypot(e.clientX - tapState.startX, e.clientY - tapState.startY);
+      tapState = { photo: null, pointerId: null, startX: 0, startY: 0 };
+
+      if (e.type === 'pointerup' && moved <= CONFIG.dragThreshold) {
+        if (photo.dataset.state === 'normal') {
+          enterHoverState(photo);
+        } else if (photo.dataset.state === 'hover') {
+          enterClickedState(photo, Math.min(CONFIG.clickedScale, getFitScale(photo)));
+        }
+      }
+      return;
+    }
+
+    if (!dragState.active || e.pointerId !== dragState.pointerId) return;
+
+    const photo = dragState.photo;
+    const wasDrag = dragState.hasDragged;
+    const wasFirstClick = dragState.isFirstClick;
+    const wasSwipe = wasDrag && e.type === 'pointerup' && isSwipe(e);
+
+    photo.style.transition = `transform ${CONFIG.transitionSpeed}ms ease, box-shadow ${CONFIG.transitionSpeed}ms ease`;
+
+    if (wasDrag) {
+      photo.dataset.currentX = photo.dataset.dragX || photo.dataset.currentX;
+      photo.dataset.currentY = photo.dataset.dragY || photo.dataset.currentY;
+    }
+
+    dragState = idleDragState();
+
+    if (wasSwipe) {
+      emitDragEnd(photo, 'swipe');
+      enterNormalState(photo);
+      return;
+    }
+    if (wasDrag) emitDragEnd(photo, 'drag');
+
+    // Only dismiss if it's a second click (not first click to zoom) and no drag happened
+    if (e.type === 'pointerup' && !wasDrag && photo.dataset.state === 'clicked' && !wasFirstClick &&
+        document.fullscreenElement !== photo) {
+      enterNormalState(photo);
+      if (e.pointerType !== 'touch') photo.dataset.justDismissed = 'true';
+    }
+  }
+
+  function onDocumentPointerDown(e) {
+    // Touch has no pointerleave while lifted - a tap elsewhere puts photos down
+    if (e.pointerType !== 'touch') return;
+    if (dragState.active || pinchState.active) return;
+
+    document.querySelectorAll('.pg-photo.hovering, .pg-photo.clicked').forEach(photo => {
+      if (!photo.contains(e.target)) enterNormalState(photo);
+    });
+  }
+
+  function onPhotoPointerLeave(photo, e) {
+    if (e.pointerType === 'touch') return;
+    delete photo.dataset.justDismissed;
+    if (dragState.active && dragState.photo === photo) return;
+    enterNormalState(photo);
+  }
+
+  // ===========================================
+  // Keyboard Navigation
+  // ===========================================
+
+  function focusSiblingPhoto(photo, offset) {
+    const gallery = photo.closest('.pg-gallery');
+    if (!gallery) return;
+
+    const photos = [...gallery.querySelectorAll('.pg-photo')];
+    const index = photos.indexOf(photo);
+    const target = photos[clamp(index + offset, 0, photos.length - 1)];
+    if (target && target !== photo) target.focus();
+  }
+
+  function onPhotoKeyDown(photo, e) {
+    if (handlePlaybackKey(photo, e)) return;
+
+    switch (e.key) {
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        togglePhotoEnlarged(photo);
+        break;
+      case 'Escape':
+        if (photo.dataset.state === 'normal') return;
+        e.preventDefault();
+        enterNormalState(photo);
+        break;
+      case 'ArrowRight':
+      case 'ArrowDown':
+        e.preventDefault();
+        focusSiblingPhoto(photo, 1);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        e.preventDefault();
+        focusSiblingPhoto(photo, -1);
+        break;
+      case 'Home':
+        e.preventDefault();
+        focusSiblingPhoto(photo, -Infinity);
+        break;
+      case 'End':
+        e.preventDefault();
+        focusSiblingPhoto(photo, Infinity);
+        break;
+    }
+  }
+
+  function togglePhotoEnlarged(photo) {
+    // Same sequence as the mouse: lift, enlarge, then put down
+    if (photo.dataset.state === 'normal') {
+      enterHoverState(photo);
+      enterClickedState(photo);
+    } else if (photo.dataset.state === 'hover') {
+      enterClickedState(photo);
+    } else {
+      enterNormalState(photo);
+    }
+  }
+
+  function createExpandButton(photo) {
+    // Hidden until keyboard-focused; pointers click the photo itself
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'pg-photo-expand';
+    button.setAttribute('aria-label', 'Enlarge');
+    button.setAttribute('aria-expanded', 'false');
+    button.innerHTML = '&#10530;';
+
+    ['pointerdown', 'pointerup', 'pointermove'].forEach(eventType => {
+      button.addEventListener(eventType, (e) => e.stopPropagation());
+    });
+    // Enter/Space click the button; arrows and Escape still reach the photo
+    button.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') e.stopPropagation();
+    });
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      togglePhotoEnlarged(photo);
+    });
+    return button;
+  }
+
+  function setExpanded(photo, expanded) {
+    const button = photo.querySelector(':scope > .pg-photo-expand');
+    if (button) button.setAttribute('aria-expanded', String(expanded));
+  }
+
+  function onPhotoFocus(photo) {
+    // Focus entering or returning from the lightbox shouldn't lift the photo
+    if (lightboxState.active || lightboxState.restoringFocus) return;
+    enterHoverState(photo);
+  }
+
+  function onPhotoFocusOut(photo, e) {
+    // Focus moving to the audio toggle stays inside the photo
+    if (e.relatedTarget && photo.contains(e.relatedTarget)) return;
+    if (dragState.active && dragState.photo === photo) return;
+    enterNormalState(photo);
+  }
+
+  function parseItemData(itemData) {
+    if (typeof itemData === 'string') {
+      return { type: 'image', src: itemData };
+    }
+    if (Array.isArray(itemData)) {
+      return { type: 'image', src: itemData[0] };
+    }
+
+    const item = {
+      type: itemData.type || 'image',
+      src: itemData.src,
+      thumb: itemData.thumb,
+      preview: itemData.preview,
+      center: itemData.center,
+      // From _data/media.json (scripts/media-manifest.js) - sizes tiles before load
+      width: itemData.width,
+      height: itemData.height,
+      duration: itemData.duration,
+      hasAudio: itemData.hasAudio,
+      // WebVTT tracks - [{ src, lang, label }], see parseCaptions
+      captions: parseCaptions(itemData.captions),
+      // Thumbnail sprite sheet for timeline hover previews (process-video.sh)
+      sprites: itemData.sprites,
+      // Responsive images - srcset/sizes for the <img>, or variants { avif, webp, jpg }
+      // mapping each format to a srcset (scripts/image-variants.js)
+      srcset: itemData.srcset,
+      sizes: itemData.sizes,
+      variants: itemData.variants,
+      // Descriptive text - alt goes on the <img> / <video aria-label>, the rest is
+      // shown when enlarged (caption, or the caption_ja/caption_en pair)
+      alt: itemData.alt,
+      caption: itemData.caption,
+      caption_ja: itemData.caption_ja,
+      caption_en: itemData.caption_en,
+      credit: itemData.credit,
+      date: itemData.date,
+      tags: parseTags(itemData.tags)
+    };
+
+    // Auto-derive thumb and preview for videos if not specified
+    if (item.type === 'video' && item.src) {
+      const lastSlash = item.src.lastIndexOf('/');
+      const dir = item.src.substring(0, lastSlash + 1);
+      const filename = item.src.substring(lastSlash + 1);
+      const basename = filename.replace(/\.mp4$/i, '');
+
+      // For "video.mp4", use "thumb.jpg" and "preview.gif"
+      // For other names like "02.mp4", use "02-thumb.jpg" and "02-preview.gif"
+      if (basename === 'video') {
+        if (!item.thumb) item.thumb = dir + 'thumb.jpg';
+        if (!item.preview) item.preview = dir + 'preview.gif';
+      } else {
+        if (!item.thumb) item.thumb = dir + basename + '-thumb.jpg';
+        if (!item.preview) item.preview = dir + basename + '-preview.gif';
+      }
+    }
+
+    return item;
+  }
+
+  function parseTags(tags) {
+    // YAML list or "a, b" string
+    if (typeof tags === 'string') tags = tags.split(',');
+    if (!Array.isArray(tags)) return undefined;
+    const list = tags.map(tag => String(tag).trim()).filter(Boolean);
+    return list.length ? list : undefined;
+  }
+
+  const CAPTION_LINES = [['caption', null], ['caption_ja', 'ja'], ['caption_en', 'en']];
+
+  function createCaptionElement(item, className) {
+    const lines = CAPTION_LINES.filter(([key]) => item[key]);
+
+    // Jekyll dates arrive as "2025-05-01" or "2025-05-01 00:00:00 +0000"
+    const date = item.date && String(item.date).replace(/^(\d{4}-\d{2}-\d{2})[ T].*$/, '$1');
+    const meta = [
+      item.credit,
+      date,
+      item.tags && item.tags.map(tag => `#${tag}`).join(' ')
+    ].filter(Boolean);
+
+    if (!lines.length && !meta.length) return null;
+
+    const caption = document.createElement('div');
+    caption.className = className;
+
+    lines.forEach(([key, lang]) => {
+      const line = document.createElement('p');
+      line.className = `${className}-text`;
+      if (lang) line.lang = lang;
+      line.textContent = item[key];
+      caption.appendChild(line);
+    });
+
+    if (meta.length) {
+      const line = document.createElement('p');
+      line.className = `${className}-meta`;
+      line.textContent = meta.join(' · ');
+      caption.appendChild(line);
+    }
+
+    return caption;
+  }
+
+  function getLabelText(src) {
+    // Parent folder + filename for identification (e.g. "bartleby-cad-render/video.mp4")
+    const parts = src.split('/').filter(Boolean);
+    return parts.length >= 2 ? parts.slice(-2).join('/') : parts.pop();
+  }
+
+  function createPhotoElement(itemData, index, count) {
+    const item = parseItemData(itemData);
+    const isVideo = item.type === 'video';
+
+    const photo = document.createElement('div');
+    photo.className = 'pg-photo';
+    if (isVideo) photo.classList.add('pg-video');
+
+    // Flexbox layout - position is relative to natural flow
+    const rotation = randomInRange(-CONFIG.initialRotation, CONFIG.initialRotation);
+    photo.dataset.originX = 0;
+    photo.dataset.originY = 0;
+    photo.dataset.currentX = 0;
+    photo.dataset.currentY = 0;
+    photo.dataset.currentRotation = rotation;
+    photo.dataset.index = index;
+    photo.dataset.state = 'normal';
+
+    const labelText = getLabelText(item.src);
+    // A group, not a button - it holds real buttons (audio, CC, control bar);
+    // enlarging has its own button, and Enter/Space on the focused tile
+    photo.tabIndex = 0;
+    photo.setAttribute('role', 'group');
+    const description = item.alt || labelText;
+    photo.setAttribute('aria-label',
+      `${isVideo ? 'Video' : 'Photo'} ${index + 1} of ${count}` + (description ? `: ${description}` : ''));
+
+    photo.style.transform = `rotate(${rotation}deg)`;
+    photo.style.transition = `transform ${CONFIG.transitionSpeed}ms ease, box-shadow ${CONFIG.transitionSpeed}ms ease`;
+    photo.appendChild(createExpandButton(photo));
+
+    const inner = document.createElement('div');
+    inner.className = 'pg-photo-inner';
+
+    if (isVideo) {
+      const video = document.createElement('video');
+      video.muted = true;
+      video.loop = true;
+      video.playsInline = true;
+      video.poster = item.thumb || '';
+      video.dataset.lazySrc = item.src;
+      if (typeof item.hasAudio === 'boolean') video.dataset.hasAudio = String(item.hasAudio);
+      addCaptionTracks(video, item.captions);
+      if (item.alt) video.setAttribute('aria-label', item.alt);
+      video.draggable = false;
+      if (item.center) {
+        video.style.objectPosition = `${item.center[0]}% ${item.center[1]}%`;
+      }
+
+      // GIF preview - shown in normal state, hidden on hover/click
+      if (item.preview) {
+        video.style.display = 'none';
+
+        const preview = document.createElement('img');
+        preview.className = 'pg-preview';
+        preview.dataset.src = item.preview;  // Lazy load
+        preview.alt = '';
+        preview.draggable = false;
+        if (item.center) {
+          preview.style.objectPosition = `${item.center[0]}% ${item.center[1]}%`;
+        }
+        inner.appendChild(preview);
+      }
+
+      inner.appendChild(video);
+
+      // Store video ref for adding controls after inner
+      photo._video = video;
+    } else {
+      const img = document.createElement('img');
+      img.dataset.src = item.src;  // Lazy load
+      img.alt = item.alt || '';
+      img.draggable = false;
+      if (item.center) {
+        img.style.objectPosition = `${item.center[0]}% ${item.center[1]}%`;
+      }
+      inner.appendChild(createResponsiveImage(img, item));
+    }
+
+    photo.appendChild(inner);
+
+    // Filename label — visible when enlarged
+    if (labelText) {
+      const label = document.createElement('span');
+      label.className = 'pg-filename';
+      label.setAttribute('aria-hidden', 'true');
+      label.textContent = labelText;
+      // Block drag/dismiss from firing when interacting with the label
+      label.addEventListener('pointerdown', (e) => e.stopPropagation());
+      label.addEventListener('pointerup', (e) => e.stopPropagation());
+      label.addEventListener('click', (e) => e.stopPropagation());
+      photo.appendChild(label);
+    }
+
+    // Caption, credit, date and tags — also visible when enlarged
+    const caption = createCaptionElement(item, 'pg-caption');
+    if (caption) {
+      caption.addEventListener('pointerdown', (e) => e.stopPropagation());
+      caption.addEventListener('pointerup', (e) => e.stopPropagation());
+      caption.addEventListener('click', (e) => e.stopPropagation());
+      photo.appendChild(caption);
+    }
+
+    // Add audio and caption controls for video
+    if (photo._video) {
+      addAudioControls(photo, photo._video);
+      addCaptionControls(photo, photo._video);
+      addPlaybackControls(photo, photo._video, item);
+      delete photo._video;
+    }
+
+    // Create edges
+    ['bottom', 'right', 'left', 'top'].forEach(side => {
+      const edge = document.createElement('div');
+      edge.className = `pg-edge pg-edge-${side}`;
+      photo.appendChild(edge);
+    });
+
+    updateShineFromRotation(photo, rotation);
+
+    // Event listeners
+    photo.addEventListener('pointerenter', (e) => {
+      if (e.pointerType === 'touch') return;
+      if (photo.dataset.justDismissed) return;
+      enterHoverState(photo);
+    });
+    photo.addEventListener('pointerleave', (e) => onPhotoPointerLeave(photo, e));
+    photo.addEventListener('pointerdown', (e) => onPhotoPointerDown(photo, e));
+    photo.addEventListener('pointermove', (e) => onPhotoPointerMove(photo, e));
+    photo.addEventListener('focus', () => onPhotoFocus(photo));
+    photo.addEventListener('focusout', (e) => onPhotoFocusOut(photo, e));
+    photo.addEventListener('keydown', (e) => onPhotoKeyDown(photo, e));
+
+    return photo;
+  }
+
+  // Viewport observer for gallery audio
+  const galleryAudioObserver = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      const video = entry.target;
+      const photo = video.closest('.pg-photo');
+      const toggle = photo?.querySelector('.video-audio-toggle-wrapper');
+
+      if (entry.intersectionRatio < 0.5) {
+        if (toggle) toggle.classList.add('offscreen');
+        if (!video.muted && !audioController.keepsPlayingOffscreen(video)) {
+          audioController.setAudioInactive(video);
+        }
+      } else {
+        if (toggle) toggle.classList.remove('offscreen');
+      }
+    });
+  }, { threshold: [0, 0.5] });
+
+  // Gallery lazy load observer - loads images/GIFs when gallery approaches viewport
+  function createGalleryLazyObserver() {
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          loadGalleryAssets(entry.target);
+          observer.unobserve(entry.target);
+        }
+      });
+    }, {
+      rootMargin: CONFIG.lazyLoadMargin
+    });
+    return observer;
+  }
 
-    showVideo(photo);
-    loadAndPlayGalleryVideo(photo);
+  // Gallery video unload observer - videos scrolled far away give their memory back
+  function createVideoUnloadObserver() {
+    return new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        const video = entry.target;
+        if (entry.isIntersecting) return;
+        if (!videoBudget.has(video) && !pendingFetches.has(video)) return;
+
+        const photo = video.closest('.pg-photo');
+        if (photo && photo.dataset.state !== 'normal') return;
+        unloadVideo(video);  // Skips videos with audio on
+      });
+    }, {
+      rootMargin: CONFIG.videoUnloadMargin
+    });
   }
 
-  function enterClickedState(photo) {
-    if (photo.dataset.state !== 'hover') return;
+  let galleryLazyObserver = createGalleryLazyObserver();
+  let videoUnloadObserver = createVideoUnloadObserver();
 
-    const currentX = parseFloat(photo.dataset.currentX) || 0;
-    const currentY = parseFloat(photo.dataset.currentY) || 0;
-    const constrained = constrainToViewport(photo, currentX, currentY, CONFIG.clickedScale);
+  function getBaseSize(gallery) {
+    // Get base size from CSS custom property (for responsive) or use CONFIG default
+    const cssSize = gallery ? getComputedStyle(gallery).getPropertyValue('--photo-size') : null;
+    return cssSize ? parseInt(cssSize) : CONFIG.photoSize;
+  }
 
-    photo.dataset.state = 'clicked';
-    photo.dataset.currentX = constrained.x;
-    photo.dataset.currentY = constrained.y;
-    photo.classList.add('clicked');
-    photo.classList.remove('tilt-right', 'tilt-left', 'tilt-up', 'tilt-down');
-    photo.style.zIndex = Z_INDEX_CLICKED;
+  function applyAspectRatio(photo, width, height) {
+    const gallery = photo.closest('.pg-gallery');
+    const baseSize = getBaseSize(gallery);
 
-    photo.style.transform = `translate(${constrained.x}px, ${constrained.y}px) rotate(0deg) scale(${CONFIG.clickedScale}) rotateX(0deg) rotateY(0deg)`;
-    photo.style.setProperty('--shine-intensity', 0.1);
+    // Long side stays at baseSize, short side calculated from ratio -
+    // except in masonry, where every item fills the column width
+    const isPortrait = height > width;
+    const ratio = width / height;
+    photo.dataset.aspect = ratio;
+
+    if (isPortrait && !(gallery && getLayout(gallery) === 'masonry')) {
+      photo.classList.add('pg-portrait');
+      photo.style.width = `${baseSize * ratio}px`;
+      photo.style.height = `${baseSize}px`;
+    } else {
+      photo.classList.toggle('pg-portrait', isPortrait);
+      photo.style.width = `${baseSize}px`;
+      photo.style.height = `${baseSize / ratio}px`;
+    }
+
+    if (gallery) scheduleLayout(gallery);
   }
 
-  function enterNormalState(photo) {
-    if (photo.dataset.state === 'normal') return;
+  function loadGalleryAssets(gallery) {
+    // Load all images with data-src (both regular images and video preview GIFs)
+    const lazyImages = gallery.querySelectorAll('img[data-src]');
+    lazyImages.forEach(img => {
+      let src = img.dataset.src;
+      delete img.dataset.src;
+
+      // Constrained connections and reduced motion get the still thumb
+      // instead of the animated preview
+      if (img.classList.contains('pg-preview') && wantsStillPreview()) {
+        const video = img.parentElement.querySelector('video');
+        if (video && video.getAttribute('poster')) {
+          img.dataset.animatedSrc = src;
+          src = video.getAttribute('poster');
+        }
+      }
+
+      applyResponsiveSources(img);
+      loadGalleryImage(img, src, src);
+    });
+  }
+
+  function loadGalleryImage(img, src, url) {
+    function cleanup() {
+      img.removeEventListener('load', onLoad);
+      img.removeEventListener('error', onError);
+    }
+
+    function onLoad() {
+      cleanup();
+      cancelRetry(img);
+
+      // Apply actual aspect ratio after load
+      const photo = img.closest('.pg-photo');
+      if (photo) {
+        applyAspectRatio(photo, img.naturalWidth, img.naturalHeight);
+      }
+    }
+
+    function onError() {
+      cleanup();
+      onImageLoadError(img, src);
+    }
+
+    img.addEventListener('load', onLoad);
+    img.addEventListener('error', onError);
+    img.src = url;
+  }
+
+  function withRetryParam(src) {
+    // Browsers may reuse a failed response for an identical URL
+    return src + (src.includes('?') ? '&' : '?') + 'retry=' + Date.now();
+  }
+
+  function onImageLoadError(img, src) {
+    log.error('[loadGalleryAssets] Image error:', img.currentSrc || src);
+    dropResponsiveSources(img);
+
+    const delay = scheduleRetry(img, () => loadGalleryImage(img, src, withRetryParam(src)));
+    reportMediaError(img, 'image', src, new Error('Image failed to load'), delay === null);
+    if (delay !== null) return;
+
+    const photo = img.closest('.pg-photo');
+    if (photo) {
+      showErrorTile(photo, 'Image failed to load', () => {
+        cancelRetry(img);
+        loadGalleryImage(img, src, withRetryParam(src));
+      });
+    }
+  }
+
+  const galleryItems = new WeakMap();  // gallery -> parsed items
+  let galleryCount = 0;
+
+  function initGallery(gallery) {
+    const imagesData = gallery.dataset.images;
+    if (!imagesData) return null;
+
+    let images;
+    try {
+      images = JSON.parse(imagesData);
+    } catch (e) {
+      log.error('Media Gallery: Invalid data-images JSON (node scripts/validate-galleries.js shows where)', e);
+      return null;
+    }
+
+    return MediaGallery.mount(gallery, images);
+  }
+
+  function renderGalleryItems(gallery, images) {
+    const items = images.map(parseItemData);
+    galleryItems.set(gallery, items);
+
+    images.forEach((imageStack, index) => {
+      const photo = createPhotoElement(imageStack, index, images.length);
+      gallery.appendChild(photo);
+
+      // Known dimensions size the tile now instead of when the media arrives
+      const { width, height } = items[index];
+      if (width > 0 && height > 0) applyAspectRatio(photo, width, height);
+
+      // Observe videos for audio viewport management and distance unloading
+      const video = photo.querySelector('video');
+      if (video) {
+        galleryAudioObserver.observe(video);
+        videoUnloadObserver.observe(video);
+      }
+    });
+
+    // Observe gallery for lazy loading (again, if a previous set already loaded)
+    galleryLazyObserver.unobserve(gallery);
+    galleryLazyObserver.observe(gallery);
+
+    layoutGallery(gallery);
+  }
+
+  function releasePhoto(photo) {
+    // Gestures in flight would keep moving a detached element
+    if (dragState.photo === photo) dragState = idleDragState();
+    if (tapState.photo === photo) tapState = { photo: null, pointerId: null, startX: 0, startY: 0 };
+    if (pinchState.photo === photo) pinchState = { active: false, photo: null, startDistance: 0, startScale: 1 };
+
+    photo.querySelectorAll('img').forEach(cancelRetry);
 
     const video = photo.querySelector('video');
-    const audioActive = video && !video.muted;
-    if (!audioActive && video) {
-      // Aggressively unload video when leaving hover
-      unloadVideo(video);
+    if (video) {
+      galleryAudioObserver.unobserve(video);
+      videoUnloadObserver.unobserve(video);
+      discardVideo(video);  // Aborts fetches and retries, revokes blob URLs
     }
 
-    photo.classList.remove('hovering', 'clicked', 'tilt-right', 'tilt-left', 'tilt-up', 'tilt-down');
-    photo.dataset.state = 'normal';
-    photo.style.zIndex = '';
+    photo.remove();
+  }
 
-    const currentX = parseFloat(photo.dataset.currentX) || 0;
-    const currentY = parseFloat(photo.dataset.currentY) || 0;
-    const originX = parseFloat(photo.dataset.originX) || 0;
-    const originY = parseFloat(photo.dataset.originY) || 0;
+  // ===========================================
+  // Layouts
+  // ===========================================
 
-    let newX = currentX + randomInRange(-CONFIG.putDownDrift, CONFIG.putDownDrift);
-    let newY = currentY + randomInRange(-CONFIG.putDownDrift, CONFIG.putDownDrift);
-    const newRotation = randomInRange(-CONFIG.putDownRotation, CONFIG.putDownRotation);
+  // grid and carousel flow with flexbox; masonry and scatter position each
+  // photo absolutely. Photo transforms stay relative to that layout slot.
+  const pendingLayouts = new Set();
 
-    newX = clamp(newX, originX - CONFIG.maxDriftFromOrigin, originX + CONFIG.maxDriftFromOrigin);
-    newY = clamp(newY, originY - CONFIG.maxDriftFromOrigin, originY + CONFIG.maxDriftFromOrigin);
+  function getLayout(gallery) {
+    return gallery.dataset.layout || 'grid';
+  }
 
-    photo.dataset.currentX = newX;
-    photo.dataset.currentY = newY;
-    photo.dataset.currentRotation = newRotation;
+  function usesLightbox(gallery) {
+    // A carousel scrolls, so a photo enlarged in place would be clipped
+    return gallery.dataset.mode === 'lightbox' || getLayout(gallery) === 'carousel';
+  }
 
-    photo.style.transform = `translate(${newX}px, ${newY}px) rotate(${newRotation}deg) scale(1) rotateX(0deg) rotateY(0deg)`;
-    updateShineFromRotation(photo, newRotation);
+  function getGap(gallery) {
+    return parseFloat(getComputedStyle(gallery).columnGap) || CONFIG.gridGap;
   }
 
-  function onPhotoMouseMove(photo, e) {
-    if (photo.dataset.state !== 'hover') return;
+  function scheduleLayout(gallery) {
+    if (!pendingLayouts.size) requestAnimationFrame(flushLayouts);
+    pendingLayouts.add(gallery);
+  }
 
-    // Skip tilt for videos — 3D transforms distort audio toggle hit area
-    if (photo.querySelector('video')) return;
+  function flushLayouts() {
+    pendingLayouts.forEach(layoutGallery);
+    pendingLayouts.clear();
+  }
 
-    const rect = photo.getBoundingClientRect();
-    const centerX = rect.left + rect.width / 2;
-    const centerY = rect.top + rect.height / 2;
+  function layoutAllGalleries() {
+    document.querySelectorAll('.pg-gallery').forEach(gallery => {
+      if (galleryItems.has(gallery)) scheduleLayout(gallery);
+    });
+  }
 
-    const relX = (e.clientX - centerX) / (rect.width / 2);
-    const relY = (e.clientY - centerY) / (rect.height / 2);
+  function layoutGallery(gallery) {
+    if (!galleryItems.has(gallery)) return;
 
-    const tiltX = relY * CONFIG.hoverTilt;
-    const tiltY = -relX * CONFIG.hoverTilt;
+    const layout = getLayout(gallery);
+    if (layout !== 'carousel') removeCarouselButtons(gallery);
 
-    const hoverX = parseFloat(photo.dataset.hoverX);
-    const hoverY = parseFloat(photo.dataset.hoverY);
-    const hoverRotation = parseFloat(photo.dataset.hoverRotation);
+    if (layout === 'masonry') {
+      layoutMasonry(gallery);
+    } else if (layout === 'scatter') {
+      layoutScatter(gallery);
+    } else {
+      clearLayout(gallery);
+      if (layout === 'carousel') layoutCarousel(gallery);
+    }
+  }
 
-    photo.style.transform = `translate(${hoverX}px, ${hoverY}px) rotate(${hoverRotation}deg) scale(${CONFIG.hoverScale}) rotateX(${tiltX}deg) rotateY(${tiltY}deg)`;
+  function clearLayout(gallery) {
+    gallery.style.height = '';
+    gallery.querySelectorAll('.pg-photo').forEach(photo => {
+      photo.style.left = '';
+      photo.style.top = '';
+    });
+  }
 
-    photo.classList.toggle('tilt-right', tiltY < -2);
-    photo.classList.toggle('tilt-left', tiltY > 2);
-    photo.classList.toggle('tilt-up', tiltX < -2);
-    photo.classList.toggle('tilt-down', tiltX > 2);
+  function layoutMasonry(gallery) {
+    const size = getBaseSize(gallery);
+    const gap = getGap(gallery);
+    const columns = Math.max(1, Math.floor((gallery.clientWidth + gap) / (size + gap)));
+    const heights = new Array(columns).fill(0);
+
+    // Each photo drops into the shortest column
+    gallery.querySelectorAll('.pg-photo').forEach(photo => {
+      const aspect = parseFloat(photo.dataset.aspect);
+      if (aspect) {
+        photo.style.width = `${size}px`;
+        photo.style.height = `${size / aspect}px`;
+      }
 
-    updateShine(photo, tiltX, tiltY);
+      const column = heights.indexOf(Math.min(...heights));
+      photo.style.left = `${column * (size + gap)}px`;
+      photo.style.top = `${heights[column]}px`;
+      heights[column] += photo.offsetHeight + gap;
+    });
+
+    gallery.style.height = `${Math.max(0, Math.max(...heights) - gap)}px`;
   }
 
-  function onPhotoMouseDown(photo, e) {
-    if (photo.dataset.state !== 'clicked') return;
+  function layoutScatter(gallery) {
+    const size = getBaseSize(gallery);
+    const width = Math.min(gallery.clientWidth, size * CONFIG.scatterSpread);
+    const height = size * CONFIG.scatterHeight;
+
+    gallery.querySelectorAll('.pg-photo').forEach(photo => {
+      // Pick a spot and tilt once - resizes rescale the same pile
+      if (!photo.dataset.scatterX) {
+        photo.dataset.scatterX = Math.random();
+        photo.dataset.scatterY = Math.random();
+
+        if (photo.dataset.state === 'normal') {
+          const rotation = randomInRange(-CONFIG.scatterRotation, CONFIG.scatterRotation);
+          photo.dataset.currentRotation = rotation;
+          photo.style.transform = `translate(${photo.dataset.currentX}px, ${photo.dataset.currentY}px) rotate(${rotation}deg)`;
+          updateShineFromRotation(photo, rotation);
+        }
+      }
 
-    e.preventDefault();
+      const maxLeft = Math.max(0, width - photo.offsetWidth);
+      const maxTop = Math.max(0, height - photo.offsetHeight);
+      photo.style.left = `${photo.dataset.scatterX * maxLeft}px`;
+      photo.style.top = `${photo.dataset.scatterY * maxTop}px`;
+    });
 
-    const currentX = parseFloat(photo.dataset.currentX) || 0;
-    const currentY = parseFloat(photo.dataset.currentY) || 0;
+    gallery.style.height = `${height}px`;
+  }
 
-    dragState = {
-      active: true,
-      photo: photo,
-      startX: e.clientX,
-      startY: e.clientY,
-      offsetX: currentX,
-      offsetY: currentY,
-      hasDragged: false
-    };
+  function layoutCarousel(gallery) {
+    let prev = gallery.querySelector('.pg-carousel-prev');
+    let next = gallery.querySelector('.pg-carousel-next');
 
-    photo.style.transition = 'none';
+    if (!prev) {
+      prev = createCarouselButton('prev', 'Scroll back', '&#8249;', -1);
+      next = createCarouselButton('next', 'Scroll forward', '&#8250;', 1);
+      gallery.addEventListener('scroll', onCarouselScroll, { passive: true });
+    }
+
+    // Arrows stick to either end of the scrolling row, around the photos
+    if (gallery.firstElementChild !== prev) gallery.prepend(prev);
+    if (gallery.lastElementChild !== next) gallery.append(next);
+    updateCarouselButtons(gallery);
   }
 
-  function onDocumentMouseMove(e) {
-    if (!dragState.active) return;
+  function createCarouselButton(name, label, icon, direction) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `pg-carousel-button pg-carousel-${name}`;
+    button.setAttribute('aria-label', label);
+    button.innerHTML = icon;
+    button.addEventListener('click', () => {
+      const gallery = button.closest('.pg-gallery');
+      gallery.scrollBy({ left: direction * gallery.clientWidth * 0.8, behavior: 'smooth' });
+    });
+    return button;
+  }
 
-    const photo = dragState.photo;
-    const dx = e.clientX - dragState.startX;
-    const dy = e.clientY - dragState.startY;
+  function removeCarouselButtons(gallery) {
+    const buttons = gallery.querySelectorAll('.pg-carousel-button');
+    if (!buttons.length) return;
+    buttons.forEach(button => button.remove());
+    gallery.removeEventListener('scroll', onCarouselScroll);
+  }
 
-    if (!dragState.hasDragged) {
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      if (distance > CONFIG.dragThreshold) {
-        dragState.hasDragged = true;
-      } else {
-        return;
+  function onCarouselScroll(e) {
+    updateCarouselButtons(e.currentTarget);
+  }
+
+  function updateCarouselButtons(gallery) {
+    const prev = gallery.querySelector('.pg-carousel-prev');
+    const next = gallery.querySelector('.pg-carousel-next');
+    if (!prev || !next) return;
+
+    prev.hidden = gallery.scrollLeft <= 1;
+    next.hidden = gallery.scrollLeft + gallery.clientWidth >= gallery.scrollWidth - 1;
+  }
+
+  // ===========================================
+  // Lightbox Mode
+  // ===========================================
+
+  const lightboxState = {
+    active: false,
+    restoringFocus: false,
+    element: null,
+    gallery: null,
+    items: [],
+    index: 0,
+    swipeStart: null
+  };
+
+  function createLightbox() {
+    const box = document.createElement('div');
+    box.className = 'pg-lightbox';
+    box.hidden = true;
+    box.setAttribute('role', 'dialog');
+    box.setAttribute('aria-modal', 'true');
+    box.setAttribute('aria-label', 'Gallery viewer');
+    box.innerHTML = `
+      <div class="pg-lightbox-frame"></div>
+      <span class="pg-lightbox-label"></span>
+      <span class="pg-lightbox-counter" aria-live="polite"></span>
+      <button type="button" class="pg-lightbox-button pg-lightbox-prev" aria-label="Previous">&#8249;</button>
+      <button type="button" class="pg-lightbox-button pg-lightbox-next" aria-label="Next">&#8250;</button>
+      <button type="button" class="pg-lightbox-button pg-lightbox-close" aria-label="Close">&#215;</button>
+    `;
+
+    box.querySelector('.pg-lightbox-prev').addEventListener('click', () => stepLightbox(-1));
+    box.querySelector('.pg-lightbox-next').addEventListener('click', () => stepLightbox(1));
+    box.querySelector('.pg-lightbox-close').addEventListener('click', closeLightbox);
+
+    // Backdrop click closes; clicks on the media itself don't
+    box.addEventListener('click', (e) => {
+      if (e.target === box) closeLightbox();
+    });
+
+    box.addEventListener('keydown', onLightboxKeyDown);
+    box.addEventListener('pointerdown', onLightboxPointerDown);
+    box.addEventListener('pointerup', onLightboxPointerUp);
+    box.addEventListener('pointercancel', () => { lightboxState.swipeStart = null; });
+
+    document.body.appendChild(box);
+    return box;
+  }
+
+  function releaseLightboxVideo() {
+    const video = lightboxState.element && lightboxState.element.querySelector('.pg-lightbox-frame video');
+    if (!video) return;
+    discardVideo(video);
+  }
+
+  function renderLightboxItem() {
+    const box = lightboxState.element;
+    const frame = box.querySelector('.pg-lightbox-frame');
+    const items = lightboxState.items;
+    const item = items[lightboxState.index];
+
+    releaseLightboxVideo();
+    frame.innerHTML = '';
+
+    if (item.type === 'video') {
+      const video = document.createElement('video');
+      video.muted = true;
+      video.loop = true;
+      video.playsInline = true;
+      video.poster = item.thumb || '';
+      video.dataset.lazySrc = item.src;
+      if (typeof item.hasAudio === 'boolean') video.dataset.hasAudio = String(item.hasAudio);
+      addCaptionTracks(video, item.captions);
+      if (item.alt) video.setAttribute('aria-label', item.alt);
+      video.draggable = false;
+      frame.appendChild(video);
+      addAudioControls(frame, video);
+      addCaptionControls(frame, video);
+      loadVideo(video);
+    } else {
+      const img = document.createElement('img');
+      img.src = item.src;
+      img.alt = item.alt || '';
+      img.draggable = false;
+      frame.appendChild(img);
+
+      // Warm the next image so stepping forward is instant
+      const next = items[(lightboxState.index + 1) % items.length];
+      if (next && next.type !== 'video') new Image().src = next.src;
+    }
+
+    box.querySelector('.pg-lightbox-label').textContent = getLabelText(item.src) || '';
+    const previousCaption = box.querySelector('.pg-lightbox-caption');
+    if (previousCaption) previousCaption.remove();
+    const caption = createCaptionElement(item, 'pg-lightbox-caption');
+    if (caption) box.insertBefore(caption, box.querySelector('.pg-lightbox-label'));
+    box.querySelector('.pg-lightbox-counter').textContent = `${lightboxState.index + 1} / ${items.length}`;
+
+    const single = items.length < 2;
+    box.querySelector('.pg-lightbox-prev').hidden = single;
+    box.querySelector('.pg-lightbox-next').hidden = single;
+  }
+
+  function openLightbox(gallery, index) {
+    const items = galleryItems.get(gallery);
+    if (!items || !items.length) return;
+
+    if (!lightboxState.element) lightboxState.element = createLightbox();
+
+    lightboxState.active = true;
+    lightboxState.gallery = gallery;
+    lightboxState.items = items;
+    lightboxState.index = clamp(index || 0, 0, items.length - 1);
+
+    renderLightboxItem();
+    routeOpened(gallery, lightboxState.index);
+    lightboxState.element.hidden = false;
+    document.documentElement.classList.add('pg-lightbox-open');
+    // Lightbox galleries never reach the 'clicked' state - this stands in for it
+    emit(gallery, 'lightboxopen', { index: lightboxState.index, galleryId: gallery.dataset.galleryId || null });
+
+    // Wait out the pointer sequence that opened us so it can't steal focus back
+    requestAnimationFrame(() => {
+      if (lightboxState.active) lightboxState.element.querySelector('.pg-lightbox-close').focus();
+    });
+  }
+
+  function closeLightbox() {
+    if (!lightboxState.active) return;
+
+    releaseLightboxVideo();
+    lightboxState.element.querySelector('.pg-lightbox-frame').innerHTML = '';
+    lightboxState.element.hidden = true;
+    lightboxState.active = false;
+    document.documentElement.classList.remove('pg-lightbox-open');
+
+    routeClosed(lightboxState.gallery, lightboxState.index);
+    emit(lightboxState.gallery, 'lightboxclose', {
+      index: lightboxState.index,
+      galleryId: lightboxState.gallery.dataset.galleryId || null
+    });
+
+    // Return focus to the photo for the item we ended on
+    const photo = lightboxState.gallery.querySelector(`.pg-photo[data-index="${lightboxState.index}"]`);
+    if (photo) {
+      lightboxState.restoringFocus = true;
+      photo.focus({ preventScroll: true });
+      lightboxState.restoringFocus = false;
+    }
+    lightboxState.gallery = null;
+    lightboxState.items = [];
+  }
+
+  function stepLightbox(offset) {
+    const count = lightboxState.items.length;
+    if (!lightboxState.active || count < 2) return;
+
+    lightboxState.index = (lightboxState.index + offset + count) % count;
+    renderLightboxItem();
+    routeOpened(lightboxState.gallery, lightboxState.index);
+  }
+
+  function onLightboxKeyDown(e) {
+    switch (e.key) {
+      case 'Escape':
+        e.preventDefault();
+        closeLightbox();
+        break;
+      case 'ArrowRight':
+        e.preventDefault();
+        stepLightbox(1);
+        break;
+      case 'ArrowLeft':
+        e.preventDefault();
+        stepLightbox(-1);
+        break;
+      case 'Tab': {
+        // Keep focus inside the dialog
+        const focusable = [...lightboxState.element.querySelectorAll('button:not([hidden])')];
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault();
+          first.focus();
+        }
+        break;
       }
     }
+  }
 
-    const rawX = dragState.offsetX + dx;
-    const rawY = dragState.offsetY + dy;
-    const constrained = constrainToViewport(photo, rawX, rawY, CONFIG.clickedScale);
+  function onLightboxPointerDown(e) {
+    if (e.pointerType === 'mouse') return;
+    lightboxState.swipeStart = { pointerId: e.pointerId, x: e.clientX, y: e.clientY };
+  }
 
-    photo.dataset.dragX = constrained.x;
-    photo.dataset.dragY = constrained.y;
+  function onLightboxPointerUp(e) {
+    const start = lightboxState.swipeStart;
+    if (!start || start.pointerId !== e.pointerId) return;
+    lightboxState.swipeStart = null;
 
-    photo.style.transform = `translate(${constrained.x}px, ${constrained.y}px) rotate(0deg) scale(${CONFIG.clickedScale}) rotateX(0deg) rotateY(0deg)`;
+    const dx = e.clientX - start.x;
+    const dy = e.clientY - start.y;
+    if (Math.abs(dx) < CONFIG.swipeDistance || Math.abs(dx) < Math.abs(dy)) return;
+
+    stepLightbox(dx < 0 ? 1 : -1);
   }
 
-  function onDocumentMouseUp(e) {
-    if (!dragState.active) return;
+  // ===========================================
+  // Hash Routing
+  // ===========================================
 
-    const photo = dragState.photo;
-    const wasDrag = dragState.hasDragged;
-    const wasFirstClick = dragState.isFirstClick;
+  // Deep links look like #g=<gallery-id>&i=<index>. Opening an item pushes one
+  // history entry, so the back button closes it and forward reopens it.
+  const routeState = {
+    applying: false,    // true while reacting to popstate - don't write history
+    backPending: false, // history.back() issued, popstate not yet seen
+    pendingHash: null   // item opened while the back was still in flight
+  };
 
-    photo.style.transition = `transform ${CONFIG.transitionSpeed}ms ease, box-shadow ${CONFIG.transitionSpeed}ms ease`;
+  function parseRoute(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const id = params.get('g');
+    const index = parseInt(params.get('i'), 10);
+    if (!id || isNaN(index)) return null;
+    return { id, index };
+  }
+
+  function routeHash(gallery, index) {
+    return `#g=${encodeURIComponent(gallery.dataset.galleryId)}&i=${index}`;
+  }
+
+  function routeOpened(gallery, index) {
+    if (routeState.applying || !gallery.dataset.galleryId) return;
+
+    const hash = routeHash(gallery, index);
+
+    // history.back() is async - push this item once it lands
+    if (routeState.backPending) {
+      routeState.pendingHash = hash;
+      return;
+    }
+    if (location.hash === hash) return;
 
-    if (wasDrag) {
-      photo.dataset.currentX = photo.dataset.dragX || photo.dataset.currentX;
-      photo.dataset.currentY = photo.dataset.dragY || photo.dataset.currentY;
+    // Moving between items replaces the entry; opening from closed adds one
+    if (parseRoute(location.hash)) {
+      history.replaceState(history.state, '', hash);
+    } else {
+      history.pushState({ pgRoute: true }, '', hash);
     }
+  }
 
-    dragState = {
-      active: false,
-      photo: null,
-      startX: 0,
-      startY: 0,
-      offsetX: 0,
-      offsetY: 0,
-      hasDragged: false,
-      isFirstClick: false
-    };
+  function routeClosed(gallery, index) {
+    if (routeState.applying) return;
 
-    // Only dismiss if it's a second click (not first click to zoom) and no drag happened
-    if (!wasDrag && photo.dataset.state === 'clicked' && !wasFirstClick) {
-      enterNormalState(photo);
-      photo.dataset.justDismissed = 'true';
+    const hash = routeHash(gallery, index);
+    if (routeState.backPending) {
+      if (routeState.pendingHash === hash) routeState.pendingHash = null;
+      return;
+    }
+    if (location.hash !== hash) return;
+
+    if (history.state && history.state.pgRoute) {
+      // Pop the entry we pushed; the popstate finds nothing left to close
+      routeState.backPending = true;
+      history.back();
+    } else {
+      // Landed on a deep link - strip the hash without leaving the page
+      history.replaceState(history.state, '', location.pathname + location.search);
     }
   }
 
-  function onPhotoMouseLeave(photo) {
-    if (dragState.active && dragState.photo === photo) return;
-    enterNormalState(photo);
+  function findGallery(id) {
+    return [...document.querySelectorAll('.pg-gallery')].find(g => g.dataset.galleryId === id) || null;
   }
 
-  function parseItemData(itemData) {
-    if (typeof itemData === 'string') {
-      return { type: 'image', src: itemData };
-    }
-    if (Array.isArray(itemData)) {
-      return { type: 'image', src: itemData[0] };
-    }
+  function closeRoutedItems() {
+    closeLightbox();
+    document.querySelectorAll('.pg-gallery .pg-photo.clicked').forEach(enterNormalState);
+  }
 
-    const item = {
-      type: itemData.type || 'image',
-      src: itemData.src,
-      thumb: itemData.thumb,
-      preview: itemData.preview,
-      center: itemData.center
-    };
+  function openRoute(route) {
+    const gallery = findGallery(route.id);
+    if (!gallery) return;
 
-    // Auto-derive thumb and preview for videos if not specified
-    if (item.type === 'video' && item.src) {
-      const lastSlash = item.src.lastIndexOf('/');
-      const dir = item.src.substring(0, lastSlash + 1);
-      const filename = item.src.substring(lastSlash + 1);
-      const basename = filename.replace(/\.mp4$/i, '');
+    const items = galleryItems.get(gallery);
+    if (!items || route.index < 0 || route.index >= items.length) return;
 
-      // For "video.mp4", use "thumb.jpg" and "preview.gif"
-      // For other names like "02.mp4", use "02-thumb.jpg" and "02-preview.gif"
-      if (basename === 'video') {
-        if (!item.thumb) item.thumb = dir + 'thumb.jpg';
-        if (!item.preview) item.preview = dir + 'preview.gif';
+    if (usesLightbox(gallery)) {
+      if (lightboxState.active && lightboxState.gallery === gallery) {
+        lightboxState.index = route.index;
+        renderLightboxItem();
       } else {
-        if (!item.thumb) item.thumb = dir + basename + '-thumb.jpg';
-        if (!item.preview) item.preview = dir + basename + '-preview.gif';
+        closeRoutedItems();
+        openLightbox(gallery, route.index);
       }
+      return;
     }
 
-    return item;
+    const photo = gallery.querySelector(`.pg-photo[data-index="${route.index}"]`);
+    if (!photo || photo.dataset.state === 'clicked') return;
+
+    liftPhoto(photo, true);
   }
 
-  function createPhotoElement(itemData, index) {
-    const item = parseItemData(itemData);
-    const isVideo = item.type === 'video';
+  function liftPhoto(photo, fromRoute) {
+    closeRoutedItems();
+    photo.closest('.pg-gallery').scrollIntoView({ block: 'center' });
 
-    const photo = document.createElement('div');
-    photo.className = 'pg-photo';
-    if (isVideo) photo.classList.add('pg-video');
+    // constrainToViewport measures from the scrolled position, so wait a frame
+    requestAnimationFrame(() => {
+      if (!photo.isConnected) return;
+      routeState.applying = fromRoute;
+      enterHoverState(photo);
+      enterClickedState(photo);
+      photo.focus({ preventScroll: true });
+      routeState.applying = false;
+    });
+  }
 
-    // Flexbox layout - position is relative to natural flow
-    const rotation = randomInRange(-CONFIG.initialRotation, CONFIG.initialRotation);
-    photo.dataset.originX = 0;
-    photo.dataset.originY = 0;
-    photo.dataset.currentX = 0;
-    photo.dataset.currentY = 0;
-    photo.dataset.currentRotation = rotation;
-    photo.dataset.index = index;
-    photo.dataset.state = 'normal';
+  function applyRoute() {
+    if (routeState.backPending) {
+      // Our own back() landed - reopen whatever was opened meanwhile
+      const hash = routeState.pendingHash;
+      routeState.backPending = false;
+      routeState.pendingHash = null;
+      if (hash) history.pushState({ pgRoute: true }, '', hash);
+      return;
+    }
 
-    photo.style.transform = `rotate(${rotation}deg)`;
-    photo.style.transition = `transform ${CONFIG.transitionSpeed}ms ease, box-shadow ${CONFIG.transitionSpeed}ms ease`;
+    const route = parseRoute(location.hash);
 
-    const inner = document.createElement('div');
-    inner.className = 'pg-photo-inner';
+    routeState.applying = true;
+    if (route) {
+      openRoute(route);
+    } else {
+      closeRoutedItems();
+    }
+    routeState.applying = false;
+  }
 
-    if (isVideo) {
-      const video = document.createElement('video');
-      video.muted = true;
-      video.loop = true;
-      video.playsInline = true;
-      video.poster = item.thumb || '';
-      video.dataset.lazySrc = item.src;
-      video.draggable = false;
-      if (item.center) {
-        video.style.objectPosition = `${item.center[0]}% ${item.center[1]}%`;
-      }
+  function initRouting() {
+    window.addEventListener('popstate', applyRoute);
+    if (parseRoute(location.hash)) applyRoute();
+  }
 
-      // GIF preview - shown in normal state, hidden on hover/click
-      if (item.preview) {
-        video.style.display = 'none';
+  // ===========================================
+  // Instance API
+  // ===========================================
 
-        const preview = document.createElement('img');
-        preview.className = 'pg-preview';
-        preview.dataset.src = item.preview;  // Lazy load
-        preview.alt = '';
-        preview.draggable = false;
-        if (item.center) {
-          preview.style.objectPosition = `${item.center[0]}% ${item.center[1]}%`;
-        }
-        inner.appendChild(preview);
-      }
+  const instances = new WeakMap();  // gallery element -> MediaGallery
+  let mutationObserver = null;
 
-      inner.appendChild(video);
+  class MediaGallery {
+    static mount(element, items, options) {
+      return instances.get(element) || new MediaGallery(element, items, options);
+    }
 
-      // Store video ref for adding controls after inner
-      photo._video = video;
-    } else {
-      const img = document.createElement('img');
-      img.dataset.src = item.src;  // Lazy load
-      img.alt = '';
-      img.draggable = false;
-      if (item.center) {
-        img.style.objectPosition = `${item.center[0]}% ${item.center[1]}%`;
-      }
-      inner.appendChild(img);
+    static get(element) {
+      return instances.get(element) || null;
     }
 
-    photo.appendChild(inner);
+    constructor(element, items = [], options = {}) {
+      if (instances.has(element)) {
+        throw new Error('Media Gallery: element already mounted - use MediaGallery.get()');
+      }
 
-    // Filename label — visible when enlarged
-    // Show parent folder + filename for identification (e.g. "bartleby-cad-render/video.mp4")
-    const parts = item.src.split('/').filter(Boolean);
-    const labelText = parts.length >= 2 ? parts.slice(-2).join('/') : parts.pop();
-    if (labelText) {
-      const label = document.createElement('span');
-      label.className = 'pg-filename';
-      label.textContent = labelText;
-      // Block drag/dismiss from firing when interacting with the label
-      label.addEventListener('mousedown', (e) => e.stopPropagation());
-      label.addEventListener('mouseup', (e) => e.stopPropagation());
-      label.addEventListener('click', (e) => e.stopPropagation());
-      photo.appendChild(label);
-    }
+      this.element = element;
+      element.classList.add('pg-gallery');
+      if (options.mode) element.dataset.mode = options.mode;
+      if (options.layout) element.dataset.layout = options.layout;
+      if (options.id) element.dataset.galleryId = options.id;
 
-    // Add audio controls for video
-    if (photo._video) {
-      addAudioControls(photo, photo._video);
-      delete photo._video;
-    }
+      // Stable id for hash routing - templates can set data-gallery-id, else document order
+      galleryCount++;
+      if (!element.dataset.galleryId) element.dataset.galleryId = element.id || String(galleryCount);
 
-    // Create edges
-    ['bottom', 'right', 'left', 'top'].forEach(side => {
-      const edge = document.createElement('div');
-      edge.className = `pg-edge pg-edge-${side}`;
-      photo.appendChild(edge);
-    });
+      if (!element.hasAttribute('role')) element.setAttribute('role', 'group');
+      if (!element.hasAttribute('aria-label')) element.setAttribute('aria-label', options.label || 'Photo gallery');
 
-    updateShineFromRotation(photo, rotation);
+      instances.set(element, this);
+      renderGalleryItems(element, items);
+    }
 
-    // Event listeners
-    photo.addEventListener('mouseenter', () => {
-      if (photo.dataset.justDismissed) return;
-      enterHoverState(photo);
-    });
-    photo.addEventListener('mouseleave', () => {
-      delete photo.dataset.justDismissed;
-      onPhotoMouseLeave(photo);
-    });
-    photo.addEventListener('mousedown', (e) => {
-      if (photo.dataset.state === 'normal' && photo.dataset.justDismissed) {
-        delete photo.dataset.justDismissed;
-        enterHoverState(photo);
-      } else if (photo.dataset.state === 'hover') {
-        enterClickedState(photo);
-        // Start drag but mark as first click (don't dismiss on mouseup unless dragged)
-        onPhotoMouseDown(photo, e);
-        dragState.isFirstClick = true;
-      } else if (photo.dataset.state === 'clicked') {
-        onPhotoMouseDown(photo, e);
-        dragState.isFirstClick = false;
-      }
-    });
-    photo.addEventListener('mousemove', (e) => onPhotoMouseMove(photo, e));
+    get items() {
+      return galleryItems.get(this.element) || [];
+    }
 
-    return photo;
-  }
+    setItems(items) {
+      this.close();
+      this.element.querySelectorAll('.pg-photo').forEach(releasePhoto);
+      renderGalleryItems(this.element, items);
+    }
 
-  // Viewport observer for gallery audio
-  const galleryAudioObserver = new IntersectionObserver((entries) => {
-    entries.forEach(entry => {
-      const video = entry.target;
-      const photo = video.closest('.pg-photo');
-      const toggle = photo?.querySelector('.video-audio-toggle-wrapper');
+    open(index) {
+      const gallery = this.element;
+      if (index < 0 || index >= this.items.length) return;
 
-      if (entry.intersectionRatio < 0.5) {
-        if (toggle) toggle.classList.add('offscreen');
-        if (!video.muted) {
-          audioController.setAudioInactive(video);
+      if (usesLightbox(gallery)) {
+        if (lightboxState.active && lightboxState.gallery === gallery) {
+          lightboxState.index = index;
+          renderLightboxItem();
+          routeOpened(gallery, index);
+        } else {
+          closeRoutedItems();
+          openLightbox(gallery, index);
         }
-      } else {
-        if (toggle) toggle.classList.remove('offscreen');
-      }
-    });
-  }, { threshold: [0, 0.5] });
-
-  // Gallery lazy load observer - loads images/GIFs when gallery approaches viewport
-  const galleryLazyObserver = new IntersectionObserver((entries) => {
-    entries.forEach(entry => {
-      if (entry.isIntersecting) {
-        loadGalleryAssets(entry.target);
-        galleryLazyObserver.unobserve(entry.target);
+        return;
       }
-    });
-  }, {
-    rootMargin: CONFIG.lazyLoadMargin
-  });
 
-  function applyAspectRatio(photo, width, height) {
-    // Get base size from CSS custom property (for responsive) or use CONFIG default
-    const gallery = photo.closest('.pg-gallery');
-    const cssSize = gallery ? getComputedStyle(gallery).getPropertyValue('--photo-size') : null;
-    const baseSize = cssSize ? parseInt(cssSize) : CONFIG.photoSize;
+      const photo = gallery.querySelector(`.pg-photo[data-index="${index}"]`);
+      if (photo && photo.dataset.state !== 'clicked') liftPhoto(photo, false);
+    }
 
-    // Long side stays at baseSize, short side calculated from ratio
-    const isPortrait = height > width;
-    const ratio = width / height;
+    close() {
+      if (lightboxState.active && lightboxState.gallery === this.element) closeLightbox();
+      this.element.querySelectorAll('.pg-photo.clicked').forEach(enterNormalState);
+    }
 
-    if (isPortrait) {
-      photo.classList.add('pg-portrait');
-      photo.style.width = `${baseSize * ratio}px`;
-      photo.style.height = `${baseSize}px`;
-    } else {
-      photo.classList.remove('pg-portrait');
-      photo.style.width = `${baseSize}px`;
-      photo.style.height = `${baseSize / ratio}px`;
+    destroy() {
+      const gallery = this.element;
+      if (instances.get(gallery) !== this) return;
+
+      this.close();
+      gallery.querySelectorAll('.pg-photo').forEach(releasePhoto);
+      galleryLazyObserver.unobserve(gallery);
+      removeCarouselButtons(gallery);
+      clearLayout(gallery);
+      galleryItems.delete(gallery);
+      instances.delete(gallery);
+      log.info('[MediaGallery] Destroyed:', gallery.dataset.galleryId);
     }
-  }
 
-  function loadGalleryAssets(gallery) {
-    // Load all images with data-src (both regular images and video preview GIFs)
-    const lazyImages = gallery.querySelectorAll('img[data-src]');
-    lazyImages.forEach(img => {
-      img.src = img.dataset.src;
-      delete img.dataset.src;
+    static observe(root = document.body) {
+      if (mutationObserver) mutationObserver.disconnect();
+      mutationObserver = new MutationObserver(onGalleryMutations);
+      mutationObserver.observe(root, { childList: true, subtree: true });
+    }
 
-      // Apply actual aspect ratio after load
-      img.addEventListener('load', () => {
-        const photo = img.closest('.pg-photo');
-        if (photo) {
-          applyAspectRatio(photo, img.naturalWidth, img.naturalHeight);
-        }
-      }, { once: true });
-    });
-  }
+    static disconnect() {
+      if (mutationObserver) mutationObserver.disconnect();
+      mutationObserver = null;
+    }
 
-  function initGallery(gallery) {
-    const imagesData = gallery.dataset.images;
-    if (!imagesData) return;
+    static inspect() {
+      return getInspectorSnapshot();
+    }
 
-    let images;
-    try {
-      images = JSON.parse(imagesData);
-    } catch (e) {
-      console.error('Media Gallery: Invalid data-images JSON', e);
-      return;
+    static configure(options = {}) {
+      Object.keys(options).forEach(key => {
+        if (key in CONFIG) CONFIG[key] = options[key];
+        else log.warn('[MediaGallery] Unknown option:', key);
+      });
+      videoBudget.maxVideos = CONFIG.maxLoadedVideos;
+      videoBudget.maxBytes = CONFIG.maxVideoMemoryMB * 1024 * 1024;
     }
+  }
 
-    images.forEach((imageStack, index) => {
-      const photo = createPhotoElement(imageStack, index);
-      gallery.appendChild(photo);
+  function findGalleries(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return [];
+    if (node.matches('.pg-gallery')) return [node];
+    return node.querySelectorAll('.pg-gallery');
+  }
 
-      // Observe videos for audio viewport management
-      const video = photo.querySelector('video');
-      if (video) {
-        galleryAudioObserver.observe(video);
-      }
-    });
+  function onGalleryMutations(mutations) {
+    mutations.forEach(mutation => {
+      mutation.removedNodes.forEach(node => {
+        // A node that was only moved is still connected - leave it running
+        if (node.isConnected) return;
+        findGalleries(node).forEach(gallery => {
+          const instance = instances.get(gallery);
+          if (instance) instance.destroy();
+        });
+      });
 
-    // Observe gallery for lazy loading
-    galleryLazyObserver.observe(gallery);
+      mutation.addedNodes.forEach(node => {
+        findGalleries(node).forEach(gallery => {
+          if (!instances.has(gallery)) initGallery(gallery);
+        });
+      });
+    });
   }
 
+  window.MediaGallery = MediaGallery;
+
   // ===========================================
   // Hero Mode
   // ===========================================
@@ -987,7 +3740,7 @@
 
       if (entry.intersectionRatio < 0.5) {
         if (toggle) toggle.classList.add('offscreen');
-        if (!video.muted) {
+        if (!video.muted && !audioController.keepsPlayingOffscreen(video)) {
           audioController.setAudioInactive(video);
         }
       } else {
@@ -1002,9 +3755,14 @@
       const video = entry.target;
 
       if (entry.isIntersecting) {
+        if (!allowsAutoplay(video)) {
+          showLoadButton(video.closest('.taped-image'), video);
+          return;
+        }
         loadVideo(video);
         playVideo(video);
       } else {
+        if (audioController.keepsPlayingOffscreen(video)) return;
         if (!video.muted) {
           audioController.setAudioInactive(video);
           setTimeout(() => pauseVideo(video), 350);
@@ -1025,11 +3783,98 @@
     const container = video.closest('.taped-image');
     if (!container) return;
 
+    // data-captions takes the same track list as data-images items
+    if (video.dataset.captions) {
+      try {
+        addCaptionTracks(video, parseCaptions(JSON.parse(video.dataset.captions)));
+      } catch (e) {
+        log.warn('[initHeroVideo] Invalid data-captions JSON:', e.message);
+      }
+    }
+
     addAudioControls(container, video);
+    addCaptionControls(container, video);
     heroAudioObserver.observe(video);
     heroPlaybackObserver.observe(video);
   }
 
+  // ===========================================
+  // Debug Inspector (?debug=media)
+  // ===========================================
+
+  // Live view of what media-gallery.js holds - for chasing memory and
+  // playback bugs on devices without devtools
+
+  const INSPECTOR_INTERVAL = 500;  // ms between refreshes while expanded
+  const inspector = { element: null, timer: null };
+
+  function getInspectorSnapshot() {
+    return {
+      // Least recently used first - the next to be evicted
+      loadedVideos: videoBudget.videos.map(video => ({
+        label: getVideoLabel(video),
+        bytes: videoBudget.bytes(video),
+        paused: video.paused,
+        muted: video.muted
+      })),
+      pendingFetches: [...pendingFetches.keys()].map(getVideoLabel),
+      videoBytes: videoBudget.totalBytes,
+      activeAudio: audioController.activeVideo ? getVideoLabel(audioController.activeVideo) : null,
+      galleries: [...document.querySelectorAll('.pg-gallery')].map(gallery => ({
+        id: gallery.dataset.galleryId || null,
+        states: [...gallery.querySelectorAll('.pg-photo')].map(photo => photo.dataset.state)
+      }))
+    };
+  }
+
+  function formatMB(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  function renderInspector() {
+    const snapshot = getInspectorSnapshot();
+    const budget = CONFIG.maxVideoMemoryMB ? ` / ${CONFIG.maxVideoMemoryMB} MB` : '';
+
+    const lines = [
+      `loaded ${snapshot.loadedVideos.length}/${CONFIG.maxLoadedVideos}  bytes ${formatMB(snapshot.videoBytes)}${budget}`,
+      ...snapshot.loadedVideos.map(video =>
+        `  ${video.label}  ${formatMB(video.bytes)}  ${video.paused ? 'paused' : 'playing'}${video.muted ? '' : '  audio'}`),
+      `fetching ${snapshot.pendingFetches.length}`,
+      ...snapshot.pendingFetches.map(label => `  ${label}`),
+      `audio ${snapshot.activeAudio || '-'}`,
+      // n(ormal) h(over) c(licked), one letter per photo
+      ...snapshot.galleries.map((gallery, i) =>
+        `${gallery.id || `gallery ${i + 1}`}  ${gallery.states.map(state => state[0]).join('')}`)
+    ];
+
+    inspector.element.querySelector('.pg-inspector-body').textContent = lines.join('\n');
+  }
+
+  function setInspectorOpen(open) {
+    inspector.element.classList.toggle('collapsed', !open);
+    clearInterval(inspector.timer);
+    inspector.timer = null;
+    if (!open) return;
+    renderInspector();
+    inspector.timer = setInterval(renderInspector, INSPECTOR_INTERVAL);
+  }
+
+  function createInspector() {
+    const panel = document.createElement('div');
+    panel.className = 'pg-inspector';
+    panel.innerHTML = `
+      <button type="button" class="pg-inspector-toggle" aria-label="Media inspector">media</button>
+      <pre class="pg-inspector-body"></pre>
+    `;
+    panel.querySelector('.pg-inspector-toggle').addEventListener('click', () => {
+      setInspectorOpen(panel.classList.contains('collapsed'));
+    });
+
+    document.body.appendChild(panel);
+    inspector.element = panel;
+    setInspectorOpen(true);
+  }
+
   // ===========================================
   // Initialization
   // ===========================================
@@ -1038,14 +3883,31 @@
     // Initialize all galleries
     const galleries = document.querySelectorAll('.pg-gallery');
     galleries.forEach(initGallery);
+    if (CONFIG.observeMutations) MediaGallery.observe();
+
+    // Open a deep-linked item once galleries exist
+    initRouting();
 
     // Initialize all hero videos
     const heroVideos = document.querySelectorAll('video[data-lazy-src]');
     heroVideos.forEach(initHeroVideo);
 
-    // Document-level drag handlers for galleries
-    document.addEventListener('mousemove', onDocumentMouseMove);
-    document.addEventListener('mouseup', onDocumentMouseUp);
+    if (window.loadPolicy) window.loadPolicy.onChange(onLoadPolicyChange);
+    if (window.motionPrefs) window.motionPrefs.onChange(onMotionPrefsChange);
+
+    // Document-level drag, pinch and tap handlers for galleries
+    document.addEventListener('pointerdown', onDocumentPointerDown);
+    document.addEventListener('pointermove', onDocumentPointerMove);
+    document.addEventListener('pointerup', onDocumentPointerUp);
+    document.addEventListener('pointercancel', onDocumentPointerUp);
+
+    document.addEventListener('fullscreenchange', onFullscreenChange);
+    initMediaSession();
+
+    if (log.enabled) createInspector();
+
+    // Masonry, scatter and carousel arrows depend on the gallery width
+    window.addEventListener('resize', layoutAllGalleries);
   }
 
   if (document.readyState === 'loading') {
@@ -0,0 +1,48 @@
+/**
+ * Motion Preferences
+ * One place for every script to ask whether the visitor prefers reduced motion.
+ *
+ * Follows the (prefers-reduced-motion: reduce) media query and reacts when it
+ * changes. When reduced: media-gallery.js skips tilt, put-down drift and
+ * autoplay, sprite.js holds sprites on frame 0 and renders the noise once,
+ * and tab-engine.js keeps tabs still on hover. Those scripts check that
+ * window.motionPrefs exists and assume full motion without it.
+ *
+ * window.motionPrefs:
+ *   reduced       - true when motion should be kept to a minimum
+ *   onChange(fn)  - fn(reduced) whenever the preference changes
+ */
+
+(function() {
+  'use strict';
+
+  const QUERY = '(prefers-reduced-motion: reduce)';
+
+  const mediaQuery = window.matchMedia ? window.matchMedia(QUERY) : null;
+  const listeners = [];
+  const log = window.debugLog ? window.debugLog.create('motion') : console;
+
+  const motionPrefs = {
+    get reduced() {
+      return Boolean(mediaQuery && mediaQuery.matches);
+    },
+
+    onChange(fn) {
+      listeners.push(fn);
+    }
+  };
+
+  function update() {
+    const reduced = motionPrefs.reduced;
+    log.info('Motion Preferences:', reduced ? 'reduced' : 'full');
+    listeners.forEach(fn => fn(reduced));
+  }
+
+  if (mediaQuery) {
+    // Safari < 14 only has the deprecated addListener
+    if (mediaQuery.addEventListener) mediaQuery.addEventListener('change', update);
+    else if (mediaQuery.addListener) mediaQuery.addListener(update);
+  }
+
+  window.motionPrefs = motionPrefs;
+})();
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+// image-variants.js - Generate responsive renditions of gallery JPGs
+// Usage: node scripts/image-variants.js [dir-or-file ...]   (default: images/)
+//        node scripts/image-variants.js --force images/timeline/2025-08
+// Output: NAME-360w.avif, NAME-360w.webp, NAME-360w.jpg, ... next to NAME.jpg
+//
+// Tiles load the smallest rendition that fits; the clicked state asks srcset
+// for a larger one (media-gallery.js). Widths at or above the original are
+// skipped - the original is always the largest candidate. Photos with an
+// EXIF orientation are turned upright, since renditions carry no EXIF.
+//
+// Requires ffmpeg built with libwebp and libaom. Existing renditions are
+// kept unless --force. Re-runs scripts/media-manifest.js at the end so
+// _data/media.json lists the new files.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { readImageSize, readImageOrientation } = require('./media-manifest');
+
+const ROOT = path.resolve(__dirname, '..');
+const WIDTHS = [360, 720, 1440];
+const SOURCE_EXT = /\.jpe?g$/i;
+const VARIANT_NAME = /-\d+w\.(avif|webp|jpe?g|png)$/i;
+
+// ffmpeg arguments per output format (scale filter is added per width)
+const FORMATS = {
+  avif: ['-c:v', 'libaom-av1', '-still-picture', '1', '-crf', '32', '-cpu-used', '6'],
+  webp: ['-c:v', 'libwebp', '-quality', '78'],
+  jpg: ['-q:v', '4']
+};
+
+// EXIF orientation -> filters turning the stored pixels upright. Renditions
+// carry no EXIF, so they have to be stored the way they are displayed.
+const ORIENTATION_FILTERS = {
+  2: 'hflip',
+  3: 'hflip,vflip',
+  4: 'vflip',
+  5: 'transpose=cclock_flip',
+  6: 'transpose=clock',
+  7: 'transpose=clock_flip',
+  8: 'transpose=cclock'
+};
+
+// ===========================================
+// Helpers
+// ===========================================
+
+function walk(target) {
+  if (!fs.existsSync(target)) {
+    console.error(`Error: Not found: ${target}`);
+    process.exit(1);
+  }
+  if (fs.statSync(target).isFile()) return [target];
+
+  return fs.readdirSync(target, { withFileTypes: true }).flatMap(entry => {
+    if (entry.name.startsWith('.')) return [];
+    const full = path.join(target, entry.name);
+    return entry.isDirectory() ? walk(full) : [full];
+  });
+}
+
+function encode(input, output, width, format, orientation) {
+  // Rotate upright first, then scale to the displayed width - it becomes the
+  // srcset "w" descriptor. -noautorotate keeps newer ffmpeg from rotating too.
+  const filters = [ORIENTATION_FILTERS[orientation], `scale=${width}:-2`].filter(Boolean).join(',');
+  execFileSync('ffmpeg', ['-y', '-v', 'error', '-noautorotate', '-i', input, '-vf', filters, ...FORMATS[format], output]);
+}
+
+function hasFfmpeg() {
+  try {
+    execFileSync('ffmpeg', ['-version'], { stdio: 'ignore' });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// ===========================================
+// Main
+// ===========================================
+
+function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const targets = args.filter(arg => arg !== '--force');
+  if (!targets.length) targets.push(path.join(ROOT, 'images'));
+
+  if (!hasFfmpeg()) {
+    console.error('Error: ffmpeg is required');
+    process.exit(1);
+  }
+
+  const files = targets
+    .flatMap(target => walk(path.resolve(target)))
+    .filter(file => SOURCE_EXT.test(file) && !VARIANT_NAME.test(file))
+    .sort();
+
+  let written = 0;
+  files.forEach(file => {
+    const relative = path.relative(ROOT, file);
+    const base = file.replace(SOURCE_EXT, '');
+    const size = readImageSize(file);
+    const width = size ? size.width : 0;
+    const widths = WIDTHS.filter(w => w < width);
+    if (!widths.length) return;
+    const orientation = readImageOrientation(file);
+
+    console.log(`Processing: ${relative}`);
+    widths.forEach(w => {
+      Object.keys(FORMATS).forEach(format => {
+        const output = `${base}-${w}w.${format}`;
+        if (!force && fs.existsSync(output)) return;
+        try {
+          encode(file, output, w, format, orientation);
+          written++;
+        } catch (err) {
+          console.warn(`  Could not write ${path.relative(ROOT, output)}: ${err.message.split('\n')[0]}`);
+        }
+      });
+    });
+  });
+
+  console.log(`Done: ${written} rendition(s) written for ${files.length} image(s)`);
+
+  // Record the renditions in _data/media.json
+  execFileSync(process.execPath, [path.join(__dirname, 'media-manifest.js')], { stdio: 'inherit' });
+}
+
+main();
@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+// media-manifest.js - Record dimensions of every gallery asset in _data/media.json
+// Usage: node scripts/media-manifest.js
+// Output: _data/media.json, keyed by site path ("/images/...", "/videos/...")
+//
+// Images: width, height (EXIF orientation applied, as browsers display them),
+//         variants - srcset per format for NAME-360w.avif etc. (scripts/image-variants.js)
+// Videos: width, height, duration (seconds), hasAudio, thumb, preview,
+//         captions - [{ src, lang }] for sidecar NAME.<lang>.vtt files,
+//         sprites - NAME-sprites.jpg timeline sheet, when process-video.sh made one
+//
+// Reads the first 64 KB of each image and the moov box of each video - no
+// ffmpeg needed. Re-run after adding media; _includes/gallery-items.html
+// merges the result into data-images.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, '_data', 'media.json');
+const IMAGE_DIRS = ['images', 'videos'];  // videos/ holds the thumbs and previews
+const IMAGE_EXT = /\.(jpe?g|png|gif|webp)$/i;
+const VIDEO_EXT = /\.(mp4|m4v|mov)$/i;
+const VARIANT_NAME = /^(.*)-(\d+)w\.(avif|webp|jpe?g|png)$/i;  // Renditions of NAME.jpg
+const CAPTION_NAME = /^(.*)\.([a-z]{2})\.vtt$/i;  // Sidecar captions for NAME.mp4
+const HEADER_BYTES = 64 * 1024;  // Image prefix read for its size
+
+// ===========================================
+// File helpers
+// ===========================================
+
+function walk(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    if (entry.name.startsWith('.')) return [];
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? walk(full) : [full];
+  });
+}
+
+function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const read = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, read);
+}
+
+function sitePath(file) {
+  return '/' + path.relative(ROOT, file).split(path.sep).join('/');
+}
+
+// ===========================================
+// Image headers
+// ===========================================
+
+function readHeader(file, parse) {
+  // The header sits in the first HEADER_BYTES of nearly every image; a JPEG
+  // with a frame header past them (big Exif thumbnail, ICC profile) is read whole
+  const fd = fs.openSync(file, 'r');
+  let buffer;
+  try {
+    buffer = readBytes(fd, 0, HEADER_BYTES);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const result = parse(buffer);
+  if (result || buffer.length < HEADER_BYTES) return result;
+  return parse(fs.readFileSync(file));
+}
+
+function readImageSize(file) {
+  return readHeader(file, parseImageSize);
+}
+
+function readImageOrientation(file) {
+  // EXIF orientation 1-8 of a JPEG (1 = as stored), 1 for other formats
+  const frame = readHeader(file, buffer => buffer[0] === 0xFF && buffer[1] === 0xD8 ? readJpegFrame(buffer) : null);
+  return frame ? frame.orientation : 1;
+}
+
+function parseImageSize(buffer) {
+  // PNG: IHDR is always the first chunk
+  if (buffer.toString('ascii', 1, 4) === 'PNG') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // GIF: logical screen size
+  if (buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return readWebpSize(buffer);
+  }
+
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    return readJpegSize(buffer);
+  }
+
+  return null;
+}
+
+function readWebpSize(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+  }
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+  }
+  return null;
+}
+
+function readJpegSize(buffer) {
+  const frame = readJpegFrame(buffer);
+  if (!frame) return null;
+  // Orientations 5-8 are rotated a quarter turn
+  return frame.orientation >= 5
+    ? { width: frame.height, height: frame.width }
+    : { width: frame.width, height: frame.height };
+}
+
+function readJpegFrame(buffer) {
+  // { width, height, orientation } as stored, before EXIF orientation
+  let offset = 2;
+  let orientation = 1;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xFF) {
+      offset++;
+      continue;
+    }
+
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    // A segment running past the buffer means only a prefix was read
+    if (offset + 2 + length > buffer.length) return null;
+
+    // APP1 Exif carries the camera orientation
+    if (marker === 0xE1 && buffer.toString('ascii', offset + 4, offset + 8) === 'Exif') {
+      orientation = readExifOrientation(buffer, offset + 10) || orientation;
+    }
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5), orientation };
+    }
+
+    offset += 2 + length;
+  }
+
+  return null;
+}
+
+function readExifOrientation(buffer, tiff) {
+  const little = buffer.toString('ascii', tiff, tiff + 2) === 'II';
+  const u16 = (at) => little ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at);
+  const u32 = (at) => little ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at);
+
+  const ifd = tiff + u32(tiff + 4);
+  if (ifd + 2 > buffer.length) return null;
+
+  const count = u16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > buffer.length) break;
+    if (u16(entry) === 0x0112) return u16(entry + 8);
+  }
+  return null;
+}
+
+// ===========================================
+// MP4 boxes
+// ===========================================
+
+function findMoov(fd, fileSize) {
+  // moov may sit before or after mdat - walk the top-level boxes
+  let position = 0;
+  while (position + 8 <= fileSize) {
+    const header = readBytes(fd, position, 16);
+    let size = header.readUInt32BE(0);
+    const type = header.toString('ascii', 4, 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = fileSize - position;
+    }
+    if (size < headerSize) return null;
+
+    if (type === 'moov') return readBytes(fd, position + headerSize, size - headerSize);
+    position += size;
+  }
+  return null;
+}
+
+function childBoxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+    boxes.push({ type, start: offset + headerSize, end: Math.min(offset + size, end) });
+    offset += size;
+  }
+  return boxes;
+}
+
+function readMovieDuration(moov, box) {
+  const version = moov[box.start];
+  const timescale = moov.readUInt32BE(box.start + (version === 1 ? 20 : 12));
+  const duration = version === 1
+    ? Number(moov.readBigUInt64BE(box.start + 24))
+    : moov.readUInt32BE(box.start + 16);
+  return timescale ? duration / timescale : 0;
+}
+
+function readTrack(moov, trak) {
+  const track = { handler: null, width: 0, height: 0, rotated: false };
+
+  childBoxes(moov, trak.start, trak.end).forEach(box => {
+    if (box.type === 'tkhd') {
+      const version = moov[box.start];
+      const matrix = box.start + (version === 1 ? 52 : 40);
+      // 16.16 fixed point; a quarter-turn matrix has a = 0, b = +/-1
+      track.rotated = moov.readInt32BE(matrix) === 0 && Math.abs(moov.readInt32BE(matrix + 4)) === 0x10000;
+      track.width = moov.readUInt32BE(matrix + 36) / 0x10000;
+      track.height = moov.readUInt32BE(matrix + 40) / 0x10000;
+    } else if (box.type === 'mdia') {
+      const hdlr = childBoxes(moov, box.start, box.end).find(child => child.type === 'hdlr');
+      if (hdlr) track.handler = moov.toString('ascii', hdlr.start + 8, hdlr.start + 12);
+    }
+  });
+
+  return track;
+}
+
+function readVideoInfo(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const moov = findMoov(fd, fs.fstatSync(fd).size);
+    if (!moov) return null;
+
+    const info = { width: 0, height: 0, duration: 0, hasAudio: false };
+    childBoxes(moov).forEach(box => {
+      if (box.type === 'mvhd') {
+        info.duration = Math.round(readMovieDuration(moov, box) * 100) / 100;
+      } else if (box.type === 'trak') {
+        const track = readTrack(moov, box);
+        if (track.handler === 'soun') info.hasAudio = true;
+        if (track.handler === 'vide' && !info.width) {
+          info.width = Math.round(track.rotated ? track.height : track.width);
+          info.height = Math.round(track.rotated ? track.width : track.height);
+        }
+      }
+    });
+    return info.width ? info : null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function attachVariants(manifest, variants) {
+  // Each rendition joins its original's srcset for that format; the original
+  // itself is the largest candidate of its own format
+  Object.keys(manifest).forEach(src => {
+    const entry = manifest[src];
+    const match = variants.get(src.replace(/\.[^./]+$/, ''));
+    if (!match || VIDEO_EXT.test(src)) return;
+
+    const ext = path.extname(src).slice(1).toLowerCase();
+    const candidates = {};
+    match.forEach(({ src: variant, width, format }) => {
+      (candidates[format] = candidates[format] || []).push({ src: variant, width });
+    });
+    const ownFormat = ext === 'jpeg' ? 'jpg' : ext;
+    (candidates[ownFormat] = candidates[ownFormat] || []).push({ src, width: entry.width });
+
+    entry.variants = {};
+    Object.keys(candidates).sort().forEach(format => {
+      entry.variants[format] = candidates[format]
+        .sort((a, b) => a.width - b.width)
+        .map(candidate => `${candidate.src} ${candidate.width}w`)
+        .join(', ');
+    });
+  });
+}
+
+function derivedPaths(src) {
+  // Same naming as media-gallery.js parseItemData and process-video.sh
+  const dir = src.substring(0, src.lastIndexOf('/') + 1);
+  const basename = src.substring(src.lastIndexOf('/') + 1).replace(VIDEO_EXT, '');
+  return basename === 'video'
+    ? { thumb: dir + 'thumb.jpg', preview: dir + 'preview.gif', sprites: dir + 'sprites.jpg' }
+    : { thumb: dir + basename + '-thumb.jpg', preview: dir + basename + '-preview.gif', sprites: dir + basename + '-sprites.jpg' };
+}
+
+function findCaptions(file) {
+  // 02.mp4 -> 02.en.vtt, 02.ja.vtt
+  const dir = path.dirname(file);
+  const basename = path.basename(file).replace(VIDEO_EXT, '');
+  return fs.readdirSync(dir)
+    .map(name => CAPTION_NAME.exec(name))
+    .filter(match => match && match[1] === basename)
+    .map(match => ({ src: sitePath(path.join(dir, match[0])), lang: match[2].toLowerCase() }))
+    .sort((a, b) => a.src.localeCompare(b.src));
+}
+
+// ===========================================
+// Main
+// ===========================================
+
+function main() {
+  const manifest = {};
+  const variants = new Map();  // original path without extension -> renditions
+  const skipped = [];
+
+  const files = IMAGE_DIRS.flatMap(dir => walk(path.join(ROOT, dir))).sort();
+
+  files.forEach(file => {
+    const src = sitePath(file);
+
+    const variant = VARIANT_NAME.exec(src);
+    if (variant) {
+      const format = variant[3].toLowerCase() === 'jpeg' ? 'jpg' : variant[3].toLowerCase();
+      if (!variants.has(variant[1])) variants.set(variant[1], []);
+      variants.get(variant[1]).push({ src, width: parseInt(variant[2], 10), format });
+      return;
+    }
+
+    try {
+      if (IMAGE_EXT.test(file)) {
+        const size = readImageSize(file);
+        if (size) manifest[src] = size;
+        else skipped.push(src);
+      } else if (VIDEO_EXT.test(file)) {
+        const info = readVideoInfo(file);
+        if (!info) {
+          skipped.push(src);
+          return;
+        }
+
+        const derived = derivedPaths(src);
+        const captions = findCaptions(file);
+        manifest[src] = {
+          ...info,
+          thumb: fs.existsSync(path.join(ROOT, derived.thumb)) ? derived.thumb : null,
+          preview: fs.existsSync(path.join(ROOT, derived.preview)) ? derived.preview : null,
+          ...(captions.length ? { captions } : {}),
+          ...(fs.existsSync(path.join(ROOT, derived.sprites)) ? { sprites: derived.sprites } : {})
+        };
+      }
+    } catch (err) {
+      console.warn(`  Could not read ${src}: ${err.message}`);
+      skipped.push(src);
+    }
+  });
+
+  attachVariants(manifest, variants);
+
+  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+  fs.writeFileSync(OUTPUT, JSON.stringify(manifest, null, 2) + '\n');
+
+  const videos = Object.keys(manifest).filter(src => VIDEO_EXT.test(src)).length;
+  console.log(`Wrote ${path.relative(ROOT, OUTPUT)}: ${Object.keys(manifest).length - videos} images, ${videos} videos`);
+  if (skipped.length) {
+    console.log(`  Skipped ${skipped.length} unreadable file(s):`);
+    skipped.forEach(src => console.log(`    ${src}`));
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { readImageSize, readImageOrientation, readVideoInfo };
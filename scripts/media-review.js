@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+// media-review.js - Reconcile media-review.csv with the media the site actually uses
+// Usage: node scripts/media-review.js           report only
+//        node scripts/media-review.js --write   also rewrite media-review.csv
+// Output: problems, then replaced/total per page; exits 1 if anything needs attention
+//
+// Used media comes from gallery: and galleries: lists in front matter (page
+// "timeline: <slug>" for posts), inline data-images, hero <video data-lazy-src>
+// and <img> with non-empty alt text (empty alt marks decoration like the tape
+// strips).
+// A video's thumb and preview rows count as used with it.
+//
+// Flags rows whose file is no longer used, used files with no row, new_file
+// entries that don't exist and unknown statuses. --write drops the unused
+// rows and adds the missing ones as pending after their page's last row;
+// status, new_file and notes of the other rows are kept as they are.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readFrontMatterGalleries, readInlineGalleries } = require('./validate-galleries');
+
+const ROOT = path.resolve(__dirname, '..');
+const CSV_FILE = path.join(ROOT, 'media-review.csv');
+const COLUMNS = ['page', 'file', 'type', 'context', 'status', 'new_file', 'notes'];
+const STATUSES = ['pending', 'replace'];
+const PAGE_EXT = /\.(html|md|markdown)$/i;
+const SKIP_DIRS = ['_site', 'node_modules', 'vendor', 'scripts', 'images', 'videos', 'fonts'];
+const VIDEO_EXT = /\.(mp4|m4v|mov|webm)$/i;
+const REMOTE = /^([a-z]+:)?\/\//i;
+
+// ===========================================
+// CSV
+// ===========================================
+
+function parseCsv(text) {
+  // RFC 4180: quoted fields may hold commas, quotes ("") and newlines
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(fields => fields.some(Boolean));
+  return records.map(fields => Object.fromEntries(header.map((column, i) => [column, fields[i] || ''])));
+}
+
+function formatCsv(rows) {
+  const escape = (value) => /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  return [COLUMNS, ...rows.map(row => COLUMNS.map(column => row[column] || ''))]
+    .map(fields => fields.map(escape).join(','))
+    .join('\n') + '\n';
+}
+
+// ===========================================
+// Used media
+// ===========================================
+
+function walk(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    if (entry.name.startsWith('.') || SKIP_DIRS.includes(entry.name)) return [];
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? walk(full) : [full];
+  });
+}
+
+function pageName(file, text) {
+  // _posts/2024-07-01-start.md -> "timeline: start", index.html -> "index"
+  const base = path.basename(file).replace(PAGE_EXT, '');
+  if (!file.startsWith(path.join(ROOT, '_posts') + path.sep)) return base;
+
+  const slug = base.replace(/^\d{4}-\d{2}-\d{2}-/, '');
+  const category = /^---[\s\S]*?^category:\s*(\S+)/m.exec(text);
+  return category ? `${category[1]}: ${slug}` : slug;
+}
+
+function repoPath(src, pageDir) {
+  // Site path as the CSV writes it ("images/x.jpg"), or null for remote media
+  if (typeof src !== 'string' || !src || REMOTE.test(src) || /{[{%]/.test(src)) return null;
+  const clean = decodeURI(src.replace(/[?#].*$/, ''));
+  const file = clean.startsWith('/') ? path.join(ROOT, clean) : path.resolve(pageDir, clean);
+  return path.relative(ROOT, file).split(path.sep).join('/');
+}
+
+function derivedPaths(file) {
+  // Same naming as media-gallery.js parseItemData
+  const dir = file.substring(0, file.lastIndexOf('/') + 1);
+  const basename = file.substring(file.lastIndexOf('/') + 1).replace(VIDEO_EXT, '');
+  return basename === 'video'
+    ? { thumb: dir + 'thumb.jpg', preview: dir + 'preview.gif' }
+    : { thumb: dir + basename + '-thumb.jpg', preview: dir + basename + '-preview.gif' };
+}
+
+function attribute(tag, name) {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(["'])([\\s\\S]*?)\\1`, 'i').exec(tag);
+  return match ? match[2] : null;
+}
+
+function galleryAssets(items, pageDir, count) {
+  // count.images numbers images across every gallery on the page
+  const assets = [];
+
+  (Array.isArray(items) ? items : []).forEach(item => {
+    if (typeof item === 'string') item = { src: item };
+    else if (Array.isArray(item)) item = { src: item[0] };
+    if (!item || typeof item !== 'object') return;
+
+    const file = repoPath(item.src, pageDir);
+    if (!file) return;
+
+    if (item.type === 'video') {
+      const derived = derivedPaths(file);
+      assets.push({
+        file,
+        type: 'video',
+        context: 'Gallery video',
+        thumb: repoPath(item.thumb, pageDir) || derived.thumb,
+        preview: repoPath(item.preview, pageDir) || derived.preview
+      });
+    } else {
+      count.images++;
+      assets.push({ file, type: 'image', context: `Gallery item ${count.images}` });
+    }
+  });
+
+  return assets;
+}
+
+function pageAssets(file) {
+  // [{ file, type, context, thumb?, preview? }] in document order
+  const text = fs.readFileSync(file, 'utf8');
+  const pageDir = path.dirname(file);
+  const assets = [];
+  const count = { images: 0 };
+
+  readFrontMatterGalleries(text).forEach(gallery => {
+    if (gallery.error) console.warn(`  Could not read ${gallery.name} in ${path.relative(ROOT, file)}: ${gallery.error}`);
+    else assets.push(...galleryAssets(gallery.items, pageDir, count));
+  });
+
+  readInlineGalleries(text).forEach(gallery => assets.push(...galleryAssets(gallery.items, pageDir, count)));
+
+  (text.match(/<video\b[^>]*>/gi) || []).forEach(tag => {
+    const video = repoPath(attribute(tag, 'data-lazy-src') || attribute(tag, 'src'), pageDir);
+    if (!video) return;
+    const derived = derivedPaths(video);
+    assets.push({
+      file: video,
+      type: 'video',
+      context: 'Hero video',
+      thumb: repoPath(attribute(tag, 'poster'), pageDir) || derived.thumb,
+      preview: derived.preview
+    });
+  });
+
+  (text.match(/<img\b[^>]*>/gi) || []).forEach(tag => {
+    const alt = attribute(tag, 'alt');
+    const image = repoPath(attribute(tag, 'src'), pageDir);
+    if (image && alt && alt.trim()) assets.push({ file: image, type: 'image', context: alt.trim() });
+  });
+
+  return { page: pageName(file, text), assets };
+}
+
+function collectUsage() {
+  // page -> Map(file -> asset), pages in site order (pages, then posts by date)
+  const files = walk(ROOT).filter(file => PAGE_EXT.test(file)).sort((a, b) => {
+    const aPost = a.includes(`${path.sep}_posts${path.sep}`);
+    const bPost = b.includes(`${path.sep}_posts${path.sep}`);
+    return aPost === bPost ? a.localeCompare(b) : (aPost ? 1 : -1);
+  });
+
+  const usage = new Map();
+  files.forEach(file => {
+    const { page, assets } = pageAssets(file);
+    if (!assets.length) return;
+    if (!usage.has(page)) usage.set(page, new Map());
+    const used = usage.get(page);
+    assets.forEach(asset => {
+      if (!used.has(asset.file)) used.set(asset.file, asset);
+    });
+  });
+  return usage;
+}
+
+// ===========================================
+// Reconcile
+// ===========================================
+
+function isUsed(row, usage) {
+  const used = usage.get(row.page);
+  if (!used) return false;
+  if (used.has(row.file)) return true;
+  // thumb / preview-gif rows ride along with their video
+  return [...used.values()].some(asset => asset.thumb === row.file || asset.preview === row.file);
+}
+
+function reconcile(rows, usage) {
+  const listed = new Set(rows.map(row => `${row.page}\n${row.file}`));
+  const unused = rows.filter(row => !isUsed(row, usage));
+  const unlisted = [];
+  usage.forEach((used, page) => {
+    used.forEach(asset => {
+      if (!listed.has(`${page}\n${asset.file}`)) unlisted.push({ page, ...asset });
+    });
+  });
+  const missingNew = rows.filter(row => row.new_file && !fs.existsSync(path.join(ROOT, row.new_file)));
+  const badStatus = rows.filter(row => !STATUSES.includes(row.status));
+  return { unused, unlisted, missingNew, badStatus };
+}
+
+function rewrite(rows, usage, unlisted) {
+  const kept = rows.filter(row => isUsed(row, usage));
+
+  unlisted.forEach(asset => {
+    const row = { page: asset.page, file: asset.file, type: asset.type, context: asset.context, status: 'pending', new_file: '', notes: '' };
+    let index = -1;
+    kept.forEach((existing, i) => {
+      if (existing.page === asset.page) index = i;
+    });
+    if (index < 0) kept.push(row);
+    else kept.splice(index + 1, 0, row);
+  });
+
+  fs.writeFileSync(CSV_FILE, formatCsv(kept));
+  return kept;
+}
+
+// ===========================================
+// Report
+// ===========================================
+
+function isReplaced(row) {
+  return row.status === 'replace' && Boolean(row.new_file) && fs.existsSync(path.join(ROOT, row.new_file));
+}
+
+function printSection(title, rows, describe) {
+  if (!rows.length) return;
+  console.log(`${title} (${rows.length}):`);
+  rows.forEach(row => console.log(`  ${describe(row)}`));
+  console.log('');
+}
+
+function printProgress(rows) {
+  const pages = new Map();
+  rows.forEach(row => {
+    if (!pages.has(row.page)) pages.set(row.page, { total: 0, replaced: 0 });
+    const page = pages.get(row.page);
+    page.total++;
+    if (isReplaced(row)) page.replaced++;
+  });
+
+  const width = Math.max(4, ...[...pages.keys()].map(page => page.length));
+  const line = (name, replaced, total) => {
+    const percent = total ? Math.round(replaced / total * 100) : 0;
+    return `  ${name.padEnd(width)}  ${String(replaced).padStart(3)}/${String(total).padEnd(3)}  ${String(percent).padStart(3)}%`;
+  };
+
+  console.log('Progress (replaced/total):');
+  pages.forEach((page, name) => console.log(line(name, page.replaced, page.total)));
+  const replaced = rows.filter(isReplaced).length;
+  console.log(line('all', replaced, rows.length));
+}
+
+// ===========================================
+// Main
+// ===========================================
+
+function main() {
+  const write = process.argv.includes('--write');
+  if (!fs.existsSync(CSV_FILE)) {
+    console.error(`Error: Not found: ${path.relative(ROOT, CSV_FILE)}`);
+    process.exit(1);
+  }
+
+  let rows = parseCsv(fs.readFileSync(CSV_FILE, 'utf8'));
+  const usage = collectUsage();
+  const { unused, unlisted, missingNew, badStatus } = reconcile(rows, usage);
+
+  printSection(write ? 'Removed - no longer used' : 'In the CSV but no longer used', unused,
+    row => `${row.page}: ${row.file}`);
+  printSection(write ? 'Added as pending' : 'Used but missing from the CSV', unlisted,
+    asset => `${asset.page}: ${asset.file} (${asset.context})`);
+  printSection('new_file does not exist', missingNew, row => `${row.page}: ${row.file} -> ${row.new_file}`);
+  printSection(`Unknown status (expected ${STATUSES.join('/')})`, badStatus,
+    row => `${row.page}: ${row.file} "${row.status}"`);
+
+  if (write && (unused.length || unlisted.length)) {
+    rows = rewrite(rows, usage, unlisted);
+    console.log(`Wrote ${path.relative(ROOT, CSV_FILE)}: ${rows.length} rows`);
+    console.log('');
+  }
+
+  printProgress(rows);
+
+  const remaining = write ? missingNew.length + badStatus.length : unused.length + unlisted.length + missingNew.length + badStatus.length;
+  if (remaining) process.exit(1);
+}
+
+main();
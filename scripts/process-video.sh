@@ -1,10 +1,14 @@
 #!/bin/bash
-# process-video.sh - Generate thumbnail and preview GIF for a video
+# process-video.sh - Generate thumbnail, preview GIF and timeline sprites for a video
 # Usage: ./process-video.sh input.mp4
-# Output: input-thumb.jpg, input-preview.gif (same directory as input)
+# Output: input-thumb.jpg, input-preview.gif, input-sprites.jpg (same directory as input)
+#         video.mp4 gets plain thumb.jpg, preview.gif, sprites.jpg - the names
+#         media-gallery.js parseItemData and media-manifest.js look for
 #
 # Thumbnail: First frame of video, 300px long side
 # Preview GIF: First 10 frames of first second, 300px long side
+# Sprites: One frame every 2 seconds, 160px wide, 10 per row - the timeline
+#          hover preview (media-gallery.js spriteInterval / spriteColumns)
 
 set -e
 
@@ -22,9 +26,17 @@ fi
 # Get directory and base name
 DIR=$(dirname "$INPUT")
 BASENAME=$(basename "$INPUT" .mp4)
-THUMB="$DIR/${BASENAME}-thumb.jpg"
-PREVIEW="$DIR/${BASENAME}-preview.gif"
+if [ "$BASENAME" = "video" ]; then
+  PREFIX="$DIR/"
+else
+  PREFIX="$DIR/${BASENAME}-"
+fi
+THUMB="${PREFIX}thumb.jpg"
+PREVIEW="${PREFIX}preview.gif"
+SPRITES="${PREFIX}sprites.jpg"
 PALETTE="/tmp/palette-$$.png"
+SPRITE_INTERVAL=2
+SPRITE_COLUMNS=10
 
 echo "Processing: $INPUT"
 
@@ -47,7 +59,17 @@ ffmpeg -y -t 1 -i "$INPUT" -i "$PALETTE" \
 # Cleanup
 rm -f "$PALETTE"
 
+# Sprites: rows sized from the duration so the sheet holds every frame
+echo "  Generating timeline sprites (every ${SPRITE_INTERVAL}s, 160px)..."
+DURATION=$(ffprobe -v error -show_entries format=duration -of csv=p=0 "$INPUT")
+FRAMES=$(awk -v d="$DURATION" -v i="$SPRITE_INTERVAL" 'BEGIN { n = d / i; print (n == int(n)) ? n : int(n) + 1 }')
+ROWS=$(( (FRAMES + SPRITE_COLUMNS - 1) / SPRITE_COLUMNS ))
+ffmpeg -y -i "$INPUT" \
+  -vf "fps=1/${SPRITE_INTERVAL},scale=160:-2,tile=${SPRITE_COLUMNS}x${ROWS}" \
+  -frames:v 1 -q:v 4 "$SPRITES" 2>/dev/null
+
 # Report sizes
 THUMB_SIZE=$(ls -lh "$THUMB" | awk '{print $5}')
 PREVIEW_SIZE=$(ls -lh "$PREVIEW" | awk '{print $5}')
-echo "  Done: $THUMB ($THUMB_SIZE), $PREVIEW ($PREVIEW_SIZE)"
+SPRITES_SIZE=$(ls -lh "$SPRITES" | awk '{print $5}')
+echo "  Done: $THUMB ($THUMB_SIZE), $PREVIEW ($PREVIEW_SIZE), $SPRITES ($SPRITES_SIZE)"
@@ -0,0 +1,684 @@
+#!/usr/bin/env node
+// validate-galleries.js - Check gallery item lists against scripts/gallery.schema.json
+// Usage: node scripts/validate-galleries.js [file ...]   (default: every page and post)
+// Output: one "file:line: problem" per problem; exits 1 if there are any
+//
+// Checks every gallery: list in front matter (_posts/*.md), every list under
+// galleries: (pages) and every inline data-images='[...]' attribute. Beyond the schema (wrong
+// type, missing src, center outside 0-100, unknown keys) it checks that
+// src/thumb/preview/sprites/captions point at files that exist and that
+// videos are marked type: video. data-images built with Liquid is skipped -
+// its items come from front matter, which is checked there.
+//
+// Front matter is read with a YAML subset (block and flow collections, plain,
+// quoted and | / > block scalars). An item it can't read is reported as
+// "unsupported YAML" on its key and the other items are still checked.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCHEMA = JSON.parse(fs.readFileSync(path.join(__dirname, 'gallery.schema.json'), 'utf8'));
+const PAGE_EXT = /\.(html|md|markdown)$/i;
+const SKIP_DIRS = ['_site', 'node_modules', 'vendor', 'scripts', 'images', 'videos', 'fonts'];
+const VIDEO_EXT = /\.(mp4|m4v|mov|webm)$/i;
+const REMOTE = /^([a-z]+:)?\/\//i;
+const FILE_KEYS = ['src', 'thumb', 'preview', 'sprites'];
+const DATA_IMAGES = /data-images\s*=\s*(['"])([\s\S]*?)\1/g;
+
+// ===========================================
+// File helpers
+// ===========================================
+
+function walk(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    if (entry.name.startsWith('.') || SKIP_DIRS.includes(entry.name)) return [];
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? walk(full) : [full];
+  });
+}
+
+function lineAt(text, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (text[i] === '\n') line++;
+  }
+  return line;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&(#39|apos);/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// ===========================================
+// Front matter (the YAML subset posts use)
+// ===========================================
+
+class YamlError extends Error {
+  constructor(message, line, key) {
+    super(message);
+    this.line = line;
+    this.key = key;
+  }
+}
+
+const SEQUENCE_ENTRY = /^-(\s+|$)/;
+const MAPPING_ENTRY = /^([^\s"'#[\]{}-][^:]*?|"[^"]*"|'[^']*'):(\s+|$)/;
+const BLOCK_SCALAR = /^((?:-\s+)*(?:[^\s"'#[\]{}-][^:]*?|"[^"]*"|'[^']*')?:?\s+|-\s+)([|>])([1-9]?)([+-]?)([1-9]?)(\s+#.*)?$/;
+
+function frontMatterLines(text) {
+  // Lines between the opening and closing ---, without blanks and comments.
+  // A | or > block scalar comes back as one line holding its value quoted.
+  const lines = text.split('\n').map(line => line.replace(/\r$/, ''));
+  if (lines[0] !== '---') return null;
+  const end = lines.indexOf('---', 1);
+  if (end < 0) return null;
+
+  const entries = [];
+  for (let i = 1; i < end; i++) {
+    const content = lines[i].trim();
+    if (!content || content.startsWith('#')) continue;
+
+    const indent = lines[i].length - lines[i].trimStart().length;
+    const block = BLOCK_SCALAR.exec(content);
+    if (!block || !/(^-|:)\s+$/.test(block[1])) {
+      entries.push({ line: i + 1, indent, content });
+      continue;
+    }
+
+    const scalar = readBlockScalar(lines, i + 1, end, blockParentIndent(indent, block[1]), block);
+    entries.push({ line: i + 1, indent, content: block[1] + JSON.stringify(scalar.value) });
+    i = scalar.next - 1;
+  }
+  return entries;
+}
+
+function blockParentIndent(indent, prefix) {
+  // Column of the key owning the block ("- caption: |" -> the c), or of the
+  // dash for a bare "- |"; the block's lines must be indented past it
+  const dashes = /^(?:-\s+)*/.exec(prefix)[0];
+  return prefix.length > dashes.length ? indent + dashes.length : indent + dashes.trimEnd().length - 1;
+}
+
+function readBlockScalar(lines, start, end, parentIndent, header) {
+  // { value, next } for the block after a | or > header, folded and chomped like YAML
+  const literal = header[2] === '|';
+  const chomp = header[4];
+  const explicit = Number(header[3] || header[5]);
+
+  let next = start;
+  while (next < end && (!lines[next].trim() || lines[next].length - lines[next].trimStart().length > parentIndent)) next++;
+  // Trailing blank lines belong to the block only for chomping
+  let last = next;
+  while (last > start && !lines[last - 1].trim()) last--;
+
+  const body = lines.slice(start, last);
+  const firstText = body.find(line => line.trim());
+  const blockIndent = explicit ? parentIndent + explicit : (firstText ? firstText.length - firstText.trimStart().length : 0);
+  const content = body.map(line => line.trim() ? line.slice(blockIndent) : '');
+
+  let value = '';
+  const spaced = (line) => /^\s/.test(line);
+  content.forEach((line, i) => {
+    const previous = content[i - 1];
+    if (i === 0) value = line;
+    else if (literal || line === '') value += '\n' + line;
+    else if (previous === '') value += (spaced(line) ? '\n' : '') + line;
+    else value += (spaced(previous) || spaced(line) ? '\n' : ' ') + line;
+  });
+
+  if (content.length && chomp !== '-') value += '\n';
+  if (chomp === '+') value += '\n'.repeat(next - last);
+  return { value, next };
+}
+
+function parseBlock(lines, start) {
+  const first = lines[start];
+  return SEQUENCE_ENTRY.test(first.content)
+    ? parseSequence(lines, start, first.indent)
+    : parseMapping(lines, start, first.indent);
+}
+
+function parseSequence(lines, start, indent, broken) {
+  // With a broken array, an item that fails to parse is recorded there (and
+  // left undefined) instead of ending the whole sequence
+  const value = [];
+  const itemLines = [];
+  let i = start;
+
+  while (i < lines.length && lines[i].indent >= indent) {
+    const entry = lines[i];
+    if (entry.indent > indent) throw new YamlError('Unexpected indentation', entry.line);
+    if (!SEQUENCE_ENTRY.test(entry.content)) break;
+    itemLines.push(entry.line);
+
+    if (!broken) {
+      i = parseSequenceItem(lines, i, indent, value);
+      continue;
+    }
+    try {
+      i = parseSequenceItem(lines, i, indent, value);
+    } catch (err) {
+      if (!(err instanceof YamlError)) throw err;
+      broken.push({ index: itemLines.length - 1, key: err.key, line: err.line, message: err.message });
+      value[itemLines.length - 1] = undefined;
+      // Skip to the next entry at this indent
+      i++;
+      while (i < lines.length && lines[i].indent > indent) i++;
+    }
+  }
+
+  return { value, lines: itemLines, next: i };
+}
+
+function parseSequenceItem(lines, i, indent, value) {
+  // Parses the entry at lines[i] into value; returns the index after it
+  const entry = lines[i];
+  const rest = entry.content.replace(SEQUENCE_ENTRY, '');
+
+  if (MAPPING_ENTRY.test(rest)) {
+    // "- key: value" opens a mapping indented to the key
+    lines[i] = { line: entry.line, indent: entry.indent + entry.content.length - rest.length, content: rest };
+    const child = parseMapping(lines, i, lines[i].indent);
+    value.push(child.value);
+    return child.next;
+  }
+  if (rest) {
+    value.push(parseScalar(rest, entry.line));
+    return i + 1;
+  }
+  if (i + 1 < lines.length && lines[i + 1].indent > indent) {
+    const child = parseBlock(lines, i + 1);
+    value.push(child.value);
+    return child.next;
+  }
+  value.push(null);
+  return i + 1;
+}
+
+function parseMapping(lines, start, indent) {
+  // Errors carry the key whose value they are in (the first level down)
+  const value = {};
+  let i = start;
+  let key;
+
+  while (i < lines.length && lines[i].indent >= indent) {
+    const entry = lines[i];
+    if (entry.indent > indent) throw new YamlError('Unexpected indentation', entry.line, key);
+    const match = MAPPING_ENTRY.exec(entry.content);
+    if (!match) break;
+
+    key = parseScalar(match[1], entry.line);
+    const rest = entry.content.slice(match[0].length);
+    i++;
+
+    const next = lines[i];
+    try {
+      if (rest) {
+        value[key] = parseScalar(rest, entry.line);
+      } else if (next && (next.indent > indent || (next.indent === indent && SEQUENCE_ENTRY.test(next.content)))) {
+        const child = parseBlock(lines, i);
+        value[key] = child.value;
+        i = child.next;
+      } else {
+        value[key] = null;
+      }
+    } catch (err) {
+      if (err instanceof YamlError && err.key === undefined) err.key = key;
+      throw err;
+    }
+  }
+
+  return { value, next: i };
+}
+
+function parseScalar(text, line) {
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text.slice(0, closingQuote(text, 0) + 1));
+    } catch (err) {
+      throw new YamlError(`Could not parse ${text}`, line);
+    }
+  }
+  if (text.startsWith("'")) {
+    // '' is an escaped quote
+    const match = /^'((?:[^']|'')*)'/.exec(text);
+    if (!match) throw new YamlError(`Could not parse ${text}`, line);
+    return match[1].replace(/''/g, "'");
+  }
+  if (text.startsWith('[') || text.startsWith('{')) return parseFlow(text, line);
+
+  const plain = text.replace(/\s+#.*$/, '');
+  if (/^(true|false)$/i.test(plain)) return plain.toLowerCase() === 'true';
+  if (/^(null|~)$/i.test(plain)) return null;
+  if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+  return plain;
+}
+
+function closingQuote(text, start) {
+  // Index of the quote ending the double-quoted string at start
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text[i] === '"') return i;
+  }
+  return text.length;
+}
+
+function parseFlow(text, line) {
+  // [a, b] and { key: value } on one line
+  let position = 0;
+  const fail = () => {
+    throw new YamlError(`Could not parse ${text}`, line);
+  };
+  const skipSpace = () => {
+    while (/\s/.test(text[position] || '')) position++;
+  };
+
+  function collection(close, addEntry) {
+    position++;
+    skipSpace();
+    if (text[position] === close) {
+      position++;
+      return;
+    }
+    for (;;) {
+      addEntry();
+      skipSpace();
+      if (text[position] === ',') position++;
+      else if (text[position] === close) {
+        position++;
+        return;
+      } else fail();
+    }
+  }
+
+  function value() {
+    skipSpace();
+    const char = text[position];
+
+    if (char === '[') {
+      const list = [];
+      collection(']', () => list.push(value()));
+      return list;
+    }
+    if (char === '{') {
+      const map = {};
+      collection('}', () => {
+        const key = value();
+        skipSpace();
+        if (text[position] !== ':') fail();
+        position++;
+        map[key] = value();
+      });
+      return map;
+    }
+    if (char === '"' || char === "'") {
+      const end = char === '"' ? closingQuote(text, position) : text.indexOf("'", position + 1);
+      if (end < 0 || end >= text.length) fail();
+      const quoted = text.slice(position, end + 1);
+      position = end + 1;
+      return parseScalar(quoted, line);
+    }
+
+    // Plain scalars end at a flow indicator; "http://" keeps its colon
+    const match = /^(?:[^,[\]{}:]|:(?!\s))+/.exec(text.slice(position));
+    if (!match) fail();
+    position += match[0].length;
+    return parseScalar(match[0].trim(), line);
+  }
+
+  const result = value();
+  skipSpace();
+  if (position < text.replace(/\s+#.*$/, '').length) fail();
+  return result;
+}
+
+function readGalleryList(lines, index, name) {
+  // { gallery, next } for the key at lines[index] holding a gallery list.
+  // gallery is { name, items, lines, line, broken } - broken lists items the
+  // YAML subset could not read ({ index, key, line, message }) - or
+  // { name, error, line } when the list itself can't be read.
+  const entry = lines[index];
+  const indent = entry.indent;
+  const inline = entry.content.slice(MAPPING_ENTRY.exec(entry.content)[0].length);
+  let next = index + 1;
+
+  try {
+    if (inline) {
+      const items = parseScalar(inline, entry.line);
+      return { gallery: { name, items, lines: Array.isArray(items) ? items.map(() => entry.line) : [], line: entry.line, broken: [] }, next };
+    }
+
+    const first = lines[next];
+    if (!first || first.indent < indent || (first.indent === indent && !SEQUENCE_ENTRY.test(first.content))) {
+      return { gallery: { name, items: null, lines: [], line: entry.line, broken: [] }, next };
+    }
+
+    const broken = [];
+    const sequence = parseSequence(lines, next, first.indent, broken);
+    const after = lines[sequence.next];
+    if (after && after.indent > indent) throw new YamlError('Unexpected indentation', after.line);
+    return { gallery: { name, items: sequence.value, lines: sequence.lines, line: entry.line, broken }, next: sequence.next };
+  } catch (err) {
+    if (!(err instanceof YamlError)) throw err;
+    while (next < lines.length && lines[next].indent > indent) next++;
+    return { gallery: { name, error: `${name}: ${err.message}`, line: err.line }, next };
+  }
+}
+
+function readFrontMatterGalleries(text) {
+  // Galleries in front matter, in order: a top-level gallery: list (posts)
+  // and each named list under galleries: (pages with several, used as
+  // page.galleries.NAME). Each is named for its pointer: "gallery",
+  // "galleries.bartleby".
+  const lines = frontMatterLines(text);
+  if (!lines) return [];
+
+  const galleries = [];
+  let i = 0;
+  while (i < lines.length) {
+    const entry = lines[i];
+    if (entry.indent === 0 && /^gallery:(\s|$)/.test(entry.content)) {
+      const list = readGalleryList(lines, i, 'gallery');
+      galleries.push(list.gallery);
+      i = list.next;
+    } else if (entry.indent === 0 && /^galleries:\s*$/.test(entry.content)) {
+      i++;
+      const indent = lines[i] && lines[i].indent;
+      while (i < lines.length && lines[i].indent > 0) {
+        const match = lines[i].indent === indent && MAPPING_ENTRY.exec(lines[i].content);
+        if (!match) {
+          galleries.push({ name: 'galleries', error: 'galleries: Unexpected indentation', line: lines[i].line });
+          while (i < lines.length && lines[i].indent > 0) i++;
+          break;
+        }
+        const list = readGalleryList(lines, i, `galleries.${parseScalar(match[1], lines[i].line)}`);
+        galleries.push(list.gallery);
+        i = list.next;
+      }
+    } else {
+      i++;
+    }
+  }
+  return galleries;
+}
+
+// ===========================================
+// Inline data-images
+// ===========================================
+
+function itemOffsets(json) {
+  // Start offset of each top-level array element
+  const offsets = [];
+  let depth = 0;
+  let inString = false;
+
+  for (let i = 0; i < json.length; i++) {
+    const char = json[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (/\s/.test(char)) continue;
+    if (depth === 1 && char !== ',' && char !== ']' && (!offsets.length || /[,[]/.test(previousToken(json, i)))) {
+      offsets.push(i);
+    }
+    if (char === '"') inString = true;
+    else if (char === '[' || char === '{') depth++;
+    else if (char === ']' || char === '}') depth--;
+  }
+
+  return offsets;
+}
+
+function previousToken(text, index) {
+  let i = index - 1;
+  while (i >= 0 && /\s/.test(text[i])) i--;
+  return text[i];
+}
+
+function readInlineGalleries(text) {
+  const galleries = [];
+  let match;
+
+  DATA_IMAGES.lastIndex = 0;
+  while ((match = DATA_IMAGES.exec(text))) {
+    const json = decodeEntities(match[2]);
+    if (/{[{%]/.test(json)) continue;
+
+    const start = match.index + match[0].indexOf(match[2]);
+    const line = lineAt(text, match.index);
+    const startLine = lineAt(text, start);
+
+    try {
+      const items = JSON.parse(json);
+      const lines = itemOffsets(json).map(offset => startLine + lineAt(json, offset) - 1);
+      galleries.push({ items, lines, line });
+    } catch (err) {
+      const position = /position (\d+)/.exec(err.message);
+      galleries.push({
+        error: `data-images is not valid JSON: ${err.message}`,
+        line: position ? startLine + lineAt(json, Number(position[1])) - 1 : line
+      });
+    }
+  }
+
+  return galleries;
+}
+
+// ===========================================
+// Schema (the draft-07 keywords gallery.schema.json uses)
+// ===========================================
+
+function resolve(schema) {
+  while (schema.$ref) {
+    schema = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], SCHEMA);
+  }
+  return schema;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && isFinite(value);
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (type === 'null') return value === null;
+  return typeof value === type;
+}
+
+function describeType(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function describeValue(value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+function validate(value, schema, pointer, errors) {
+  schema = resolve(schema);
+  const fail = (message) => errors.push({ pointer, message });
+
+  const options = schema.oneOf || schema.anyOf;
+  if (options) {
+    const results = options.map(option => {
+      const optionErrors = [];
+      validate(value, option, pointer, optionErrors);
+      return optionErrors;
+    });
+    const passing = results.filter(result => !result.length).length;
+    if (passing === 1 || (schema.anyOf && passing)) return;
+    if (passing > 1) return fail('matches more than one allowed form');
+
+    // Report against the one form whose type fits, else list the forms
+    const fitting = options.map(resolve).filter(option => !option.type || matchesType(value, option.type));
+    if (fitting.length === 1) errors.push(...results[options.map(resolve).indexOf(fitting[0])]);
+    else fail(`must be ${options.map(option => describeType(resolve(option).type)).join(' or ')} (got ${describeValue(value)})`);
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return fail(`must be ${describeType(schema.type)} (got ${describeValue(value)})`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')} (got ${describeValue(value)})`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail('must not be empty');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern} (got ${describeValue(value)})`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum} (got ${value})`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum} (got ${value})`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} entries (got ${value.length})`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} entries (got ${value.length})`);
+    if (schema.items) value.forEach((entry, i) => validate(entry, schema.items, [...pointer, i], errors));
+  }
+
+  if (matchesType(value, 'object')) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) fail(`missing "${key}"`);
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) validate(value[key], properties[key], [...pointer, key], errors);
+      else if (schema.additionalProperties === false) errors.push({ pointer: [...pointer, key], message: 'unknown key' });
+      else if (schema.additionalProperties) validate(value[key], schema.additionalProperties, [...pointer, key], errors);
+    });
+  }
+}
+
+// ===========================================
+// Checks beyond the schema
+// ===========================================
+
+function fileExists(src, pageDir) {
+  if (REMOTE.test(src)) return true;
+  const clean = decodeURI(src.replace(/[?#].*$/, ''));
+  const file = clean.startsWith('/') ? path.join(ROOT, clean) : path.resolve(pageDir, clean);
+  return fs.existsSync(file);
+}
+
+function checkItem(item, index, pageDir, errors) {
+  // Same shorthand as media-gallery.js parseItemData
+  if (typeof item === 'string') item = { src: item };
+  else if (Array.isArray(item)) item = { src: item[0] };
+  if (!matchesType(item, 'object') || typeof item.src !== 'string' || !item.src) return;
+
+  const fail = (key, message) => errors.push({ pointer: key === null ? [index] : [index, key], message });
+  const isVideo = item.type === 'video';
+
+  if (isVideo && !VIDEO_EXT.test(item.src)) fail('type', `is "video" but src is not a video file (${item.src})`);
+  if (!isVideo && VIDEO_EXT.test(item.src)) fail(item.type === undefined ? null : 'type', `${item.src} is a video - set type to "video"`);
+
+  FILE_KEYS.forEach(key => {
+    if (typeof item[key] === 'string' && item[key] && !fileExists(item[key], pageDir)) {
+      fail(key, `file not found: ${item[key]}`);
+    }
+  });
+
+  if (Array.isArray(item.captions)) {
+    item.captions.forEach((caption, i) => {
+      const src = typeof caption === 'string' ? caption : caption && caption.src;
+      if (typeof src === 'string' && src && !fileExists(src, pageDir)) {
+        errors.push({ pointer: [index, 'captions', i], message: `file not found: ${src}` });
+      }
+    });
+  }
+}
+
+function formatPointer(base, pointer) {
+  return base + pointer.map(part => typeof part === 'number' ? `[${part}]` : `.${part}`).join('');
+}
+
+function checkGallery(gallery, base, pageDir) {
+  // [{ line, message }] for one gallery
+  if (gallery.error) return [{ line: gallery.line, message: gallery.error }];
+
+  // Items the YAML subset couldn't read are reported once, not also as invalid
+  const broken = gallery.broken || [];
+  const isBroken = (index) => broken.some(item => item.index === index);
+  const errors = [];
+  validate(gallery.items, SCHEMA, [], errors);
+  if (Array.isArray(gallery.items)) {
+    gallery.items.forEach((item, index) => checkItem(item, index, pageDir, errors));
+  }
+
+  return errors
+    .filter(({ pointer }) => !pointer.length || !isBroken(pointer[0]))
+    .map(({ pointer, message }) => ({
+      line: pointer.length ? gallery.lines[pointer[0]] || gallery.line : gallery.line,
+      message: `${formatPointer(base, pointer)}: ${message}`
+    }))
+    .concat(broken.map(({ index, key, line, message }) => ({
+      line,
+      message: `${formatPointer(base, key === undefined ? [index] : [index, key])}: unsupported YAML: ${message}`
+    })));
+}
+
+// ===========================================
+// Main
+// ===========================================
+
+function checkFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const pageDir = path.dirname(file);
+  const galleries = [];
+  const problems = [];
+
+  readFrontMatterGalleries(text).forEach(gallery => galleries.push({ ...gallery, base: gallery.name }));
+  readInlineGalleries(text).forEach(gallery => galleries.push({ ...gallery, base: 'data-images' }));
+
+  galleries.forEach(gallery => problems.push(...checkGallery(gallery, gallery.base, pageDir)));
+
+  const items = galleries.reduce((sum, gallery) => sum + (Array.isArray(gallery.items) ? gallery.items.length : 0), 0);
+  return { galleries: galleries.length, items, problems };
+}
+
+function main() {
+  const targets = process.argv.slice(2);
+  const files = targets.length
+    ? targets.map(target => path.resolve(target))
+    : walk(ROOT).filter(file => PAGE_EXT.test(file)).sort();
+
+  let galleries = 0;
+  let items = 0;
+  let problems = 0;
+
+  files.forEach(file => {
+    if (!fs.existsSync(file)) {
+      console.error(`Error: Not found: ${file}`);
+      process.exit(1);
+    }
+
+    const result = checkFile(file);
+    const relative = path.relative(ROOT, file);
+    galleries += result.galleries;
+    items += result.items;
+    problems += result.problems.length;
+
+    result.problems
+      .sort((a, b) => a.line - b.line)
+      .forEach(problem => console.log(`${relative}:${problem.line}: ${problem.message}`));
+  });
+
+  console.log(`Checked ${galleries} galleries (${items} items) in ${files.length} file(s): ` +
+    (problems ? `${problems} problem(s)` : 'no problems'));
+  if (problems) process.exit(1);
+}
+
+if (require.main === module) main();
+
+module.exports = { readFrontMatterGalleries, readInlineGalleries, checkGallery };
@@ -26,8 +26,16 @@ class SpritePlayer {
       this.frames.push(img);
     }
 
-    // Start animation
-    this.play();
+    // Start animation - or hold the first frame for reduced motion
+    if (!(window.motionPrefs && window.motionPrefs.reduced)) this.play();
+    if (window.motionPrefs) window.motionPrefs.onChange(reduced => {
+      if (reduced) {
+        this.pause();
+        this.goToFrame(0);
+      } else {
+        this.play();
+      }
+    });
 
     // Hover: speed up (disabled for testing)
     // this.container.addEventListener('mouseenter', () => this.setSpeed(16));
@@ -70,6 +78,10 @@ class SpritePlayer {
   // Seek to frame with animation (rapid advance)
   seekToFrame(target, seekSpeed = 30) {
     this.pause();
+    if (window.motionPrefs && window.motionPrefs.reduced) {
+      this.goToFrame(target);
+      return;
+    }
     const advance = () => {
       if (this.currentFrame === target) {
         this.play();
@@ -137,6 +149,7 @@ class NoiseBackground {
     this.scrollVelocity = 0;
     this.lastScrollY = 0;
     this.isJittering = false;
+    this.isAnimating = false;
     this.flashVelocity = 0;
 
     // Color animation state
@@ -260,6 +273,14 @@ class NoiseBackground {
   }
 
   animate() {
+    if (window.motionPrefs && window.motionPrefs.reduced) {
+      // Settle on the base noise and stop until motion is allowed again
+      if (this.isJittering) this.applyJitter(0);
+      this.isJittering = false;
+      this.isAnimating = false;
+      return;
+    }
+
     const currentScrollY = window.scrollY;
     const deltaScroll = Math.abs(currentScrollY - this.lastScrollY);
     this.lastScrollY = currentScrollY;
@@ -283,6 +304,7 @@ class NoiseBackground {
       }
     }
 
+    this.isAnimating = true;
     requestAnimationFrame(() => this.animate());
   }
 
@@ -326,8 +348,18 @@ class NoiseBackground {
 
     window.addEventListener('resize', () => this.generateBaseNoise());
 
+    if (window.motionPrefs) window.motionPrefs.onChange(reduced => {
+      if (reduced || this.isAnimating) return;
+      // Resume without a burst for whatever happened while still
+      this.scrollVelocity = 0;
+      this.flashVelocity = 0;
+      this.lastScrollY = window.scrollY;
+      this.animate();
+    });
+
     let lastScrollForBlue = 0;
     window.addEventListener('scroll', () => {
+      if (window.motionPrefs && window.motionPrefs.reduced) return;  // Rendered once - no reshuffle while scrolling
       if (Math.abs(window.scrollY - lastScrollForBlue) > 50) {
         lastScrollForBlue = window.scrollY;
         this.generateBaseNoise();
@@ -0,0 +1,271 @@
+/**
+ * Service Worker
+ * Cache-first storage for gallery media, network-first for pages.
+ *
+ * - /images/ and /videos/ are served from the media cache when present,
+ *   so revisits are instant and galleries work offline
+ * - Video Range requests are answered with 206 slices of the cached file
+ * - Past MEDIA_MAX_BYTES the least recently used files are evicted; use times
+ *   live in one small JSON entry so playing a video never rewrites the file
+ * - Videos are only cached whole: either from a plain GET (blob download)
+ *   or when media-cache.js asks for it after a streamed video finishes buffering
+ *   and the HTTP cache already holds the complete file
+ * - Pages, scripts and styles fall back to their last copy when offline
+ *
+ * Bump CACHE_VERSION to drop every cached file on the next visit.
+ */
+
+'use strict';
+
+const CACHE_VERSION = 1;
+const CACHE_PREFIX = 'ap-';
+const MEDIA_CACHE = `${CACHE_PREFIX}media-v${CACHE_VERSION}`;
+const PAGE_CACHE = `${CACHE_PREFIX}pages-v${CACHE_VERSION}`;
+// Not "media-" - media-cache.js lists every ap-media-* entry as a cached file
+const LRU_CACHE = `${CACHE_PREFIX}lru-v${CACHE_VERSION}`;
+const LAST_USED_KEY = '/last-used.json';  // { cache key: time last used }
+
+const MEDIA_MAX_BYTES = 200 * 1024 * 1024;  // Least recently used entries evicted past this
+const MEDIA_PATHS = ['/images/', '/videos/'];
+const PAGE_EXTENSIONS = /\.(css|js|woff2?|ttf)$/;
+
+// ===========================================
+// Lifecycle
+// ===========================================
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  // Versioned invalidation - delete every cache from an older CACHE_VERSION
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(
+        names
+          .filter(name => name.startsWith(CACHE_PREFIX) && ![MEDIA_CACHE, PAGE_CACHE, LRU_CACHE].includes(name))
+          .map(name => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ===========================================
+// Fetch Routing
+// ===========================================
+
+function isMediaRequest(url) {
+  return url.origin === self.location.origin && MEDIA_PATHS.some(path => url.pathname.startsWith(path));
+}
+
+function isPageRequest(request, url) {
+  if (url.origin !== self.location.origin) return false;
+  return request.mode === 'navigate' || PAGE_EXTENSIONS.test(url.pathname);
+}
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (isMediaRequest(url)) {
+    event.respondWith(respondWithMedia(request, url));
+  } else if (isPageRequest(request, url)) {
+    event.respondWith(respondWithPage(request));
+  }
+});
+
+// ===========================================
+// Media (cache-first)
+// ===========================================
+
+function cacheKey(url) {
+  // Query strings never change the file - keep one entry per path
+  return url.origin + url.pathname;
+}
+
+async function respondWithMedia(request, url) {
+  const cache = await caches.open(MEDIA_CACHE);
+  const cached = await cache.match(cacheKey(url));
+  const range = request.headers.get('range');
+
+  if (cached) {
+    // Only the first request of a playback marks it used - not every range after it
+    if (!range || /^bytes=0-$/.test(range.trim())) touchMedia(cacheKey(url));
+    return range ? sliceResponse(cached, range) : cached;
+  }
+
+  // Partial responses can't be cached; stream them straight through
+  if (range) return fetch(request);
+
+  const response = await fetch(request);
+  if (response.status === 200) {
+    putMedia(cache, cacheKey(url), response.clone());
+  }
+  return response;
+}
+
+async function sliceResponse(response, rangeHeader) {
+  // The Cache API has no ranged reads: every Range request opens the whole
+  // entry. Browsers back a cached body's Blob with the stored file, so this
+  // reads from disk rather than copying the video into memory, and slice()
+  // only reads the requested bytes - but it is per request, not per playback.
+  const blob = await response.blob();
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+  if (!match) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(blob.size - parseInt(match[2], 10), 0);
+    end = blob.size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? blob.size - 1 : Math.min(parseInt(match[2], 10), blob.size - 1);
+  }
+
+  if (start >= blob.size || start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': response.headers.get('content-type') || 'video/mp4',
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Accept-Ranges': 'bytes',
+      'X-Media-Cache': 'hit'
+    }
+  });
+}
+
+async function entrySize(cache, request) {
+  const response = await cache.match(request);
+  if (!response) return 0;
+  const length = parseInt(response.headers.get('content-length'), 10);
+  return isNaN(length) ? (await response.blob()).size : length;
+}
+
+async function trimMediaCache(cache) {
+  // Most recently used first (entries never used fall back to the order they
+  // were stored in) - keep what fits, evict the rest
+  await lastUsedQueue;
+  const lastUsed = await readLastUsed();
+  const requests = (await cache.keys())
+    .map((request, index) => ({ request, index, used: lastUsed[request.url] || 0 }))
+    .sort((a, b) => b.used - a.used || b.index - a.index);
+
+  const evicted = [];
+  let total = 0;
+  for (const { request } of requests) {
+    const size = await entrySize(cache, request);
+    if (total + size > MEDIA_MAX_BYTES) {
+      await cache.delete(request);
+      evicted.push(request.url);
+    } else {
+      total += size;
+    }
+  }
+  if (evicted.length) await updateLastUsed(times => evicted.forEach(key => delete times[key]));
+}
+
+async function putMedia(cache, key, response) {
+  try {
+    await cache.put(key, response);
+    await touchMedia(key);
+    await trimMediaCache(cache);
+    notifyClients({ type: 'media-cached', url: key });
+  } catch (err) {
+    // Quota errors just mean this file stays uncached
+    console.warn('[sw] Could not cache', key, err);
+  }
+}
+
+// ===========================================
+// Last-used times
+// ===========================================
+
+let lastUsedQueue = Promise.resolve();
+
+async function readLastUsed() {
+  const cache = await caches.open(LRU_CACHE);
+  const response = await cache.match(LAST_USED_KEY);
+  try {
+    return response ? await response.json() : {};
+  } catch (err) {
+    return {};  // Unreadable - start over, entries fall back to stored order
+  }
+}
+
+function updateLastUsed(change) {
+  // One read-modify-write at a time - overlapping ones would drop each other's times
+  lastUsedQueue = lastUsedQueue.then(async () => {
+    const times = await readLastUsed();
+    change(times);
+    const cache = await caches.open(LRU_CACHE);
+    await cache.put(LAST_USED_KEY, new Response(JSON.stringify(times), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+  }).catch(err => console.warn('[sw] Could not record media use', err));
+  return lastUsedQueue;
+}
+
+function touchMedia(key) {
+  return updateLastUsed(times => {
+    times[key] = Date.now();
+  });
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll();
+  clients.forEach(client => client.postMessage(message));
+}
+
+// ===========================================
+// Pages (network-first)
+// ===========================================
+
+async function respondWithPage(request) {
+  const cache = await caches.open(PAGE_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.status === 200) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// ===========================================
+// Messages from media-cache.js
+// ===========================================
+
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+
+  if (data.type === 'cache-media' && data.url) {
+    // A streamed video finished buffering - store it only if the HTTP cache
+    // already holds the whole file. A stream leaves range responses there,
+    // and fetching the file again would download the video a second time.
+    const url = new URL(data.url, self.location.origin);
+    if (!isMediaRequest(url)) return;
+
+    event.waitUntil(
+      caches.open(MEDIA_CACHE).then(async cache => {
+        if (await cache.match(cacheKey(url))) return;
+        const response = await fetch(url.href, { cache: 'only-if-cached', mode: 'same-origin' });
+        if (response.status === 200) await putMedia(cache, cacheKey(url), response);
+      }).catch(() => {})  // Not in the HTTP cache - it gets stored on a later plain GET
+    );
+  } else if (data.type === 'clear-media') {
+    event.waitUntil(Promise.all([caches.delete(MEDIA_CACHE), caches.delete(LRU_CACHE)]));
+  }
+});
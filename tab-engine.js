@@ -2,7 +2,7 @@
  * Tab Engine
  * - Calculates page depths based on active page adjacency
  * - Applies transforms, z-index, and colors based on depth
- * - Handles hover animations for non-active tabs
+ * - Handles hover animations for non-active tabs (skipped for reduced motion)
  * - Sets uniform tab widths based on longest label
  */
 
@@ -131,7 +131,7 @@
       }
 
       pageEl.addEventListener('mouseenter', () => {
-        if (window.matchMedia(MOBILE_QUERY).matches) return;
+        if (window.matchMedia(MOBILE_QUERY).matches || (window.motionPrefs && window.motionPrefs.reduced)) return;
         const depthOffsets = getDepthOffsets();
         const offset = depthOffsets[depth] || depthOffsets[depthOffsets.length - 1];
         const targetPx = 6;
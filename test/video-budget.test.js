@@ -0,0 +1,120 @@
+// video-budget.test.js - Eviction order of the loaded-video LRU (video-budget.js)
+// Usage: node --test test/
+//
+// Exercises VideoBudget on its own with plain objects for videos; loading
+// one is add + setBytes + enforce, as media-gallery.js does after a download.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const VideoBudget = require('../video-budget');
+
+const MB = 1024 * 1024;
+
+function createVideos(count) {
+  return Array.from({ length: count }, (_, i) => ({ src: `/videos/${i + 1}.mp4`, muted: true }));
+}
+
+function createBudget(options) {
+  const evicted = [];
+  const budget = new VideoBudget({
+    canEvict: (video) => video.muted,
+    evict: (video) => evicted.push(video.src),
+    ...options
+  });
+  return { budget, evicted };
+}
+
+function load(budget, video, bytes = 0) {
+  budget.add(video);
+  budget.setBytes(video, bytes);
+  budget.enforce(video);
+}
+
+test('evicts the least recently loaded videos past maxVideos', () => {
+  const { budget, evicted } = createBudget({ maxVideos: 3 });
+  const videos = createVideos(5);
+
+  videos.forEach(video => load(budget, video));
+
+  assert.deepStrictEqual(evicted, ['/videos/1.mp4', '/videos/2.mp4']);
+  assert.deepStrictEqual(budget.videos, videos.slice(2));
+});
+
+test('a video used again moves to the back of the queue', () => {
+  const { budget, evicted } = createBudget({ maxVideos: 3 });
+  const [first, second, third, fourth] = createVideos(4);
+
+  load(budget, first);
+  load(budget, second);
+  load(budget, third);
+  budget.touch(first);
+  load(budget, fourth);
+
+  assert.deepStrictEqual(evicted, ['/videos/2.mp4']);
+  assert.deepStrictEqual(budget.videos, [third, first, fourth]);
+});
+
+test('touch and setBytes ignore videos that are not loaded', () => {
+  const { budget } = createBudget();
+  const [loaded, unloaded] = createVideos(2);
+
+  load(budget, loaded, 1 * MB);
+  budget.touch(unloaded);
+  budget.setBytes(unloaded, 5 * MB);
+
+  assert.strictEqual(budget.has(unloaded), false);
+  assert.strictEqual(budget.totalBytes, 1 * MB);
+});
+
+test('the video with active audio is never evicted', () => {
+  const { budget, evicted } = createBudget({ maxVideos: 2 });
+  const videos = createVideos(6);
+  videos[0].muted = false;
+
+  videos.forEach(video => load(budget, video));
+
+  assert.ok(!evicted.includes('/videos/1.mp4'));
+  assert.deepStrictEqual(evicted, ['/videos/2.mp4', '/videos/3.mp4', '/videos/4.mp4', '/videos/5.mp4']);
+  assert.deepStrictEqual(budget.videos, [videos[0], videos[5]]);
+});
+
+test('evicts by bytes when maxBytes is set', () => {
+  const { budget, evicted } = createBudget({ maxVideos: 10, maxBytes: 10 * MB });
+  const [a, b, c, d] = createVideos(4);
+
+  load(budget, a, 4 * MB);
+  load(budget, b, 4 * MB);
+  load(budget, c, 1 * MB);
+  load(budget, d, 5 * MB);
+
+  assert.deepStrictEqual(evicted, ['/videos/1.mp4']);
+  assert.strictEqual(budget.totalBytes, 10 * MB);
+});
+
+test('a growing stream estimate evicts older videos', () => {
+  const { budget, evicted } = createBudget({ maxBytes: 10 * MB });
+  const [older, streaming] = createVideos(2);
+
+  load(budget, older, 6 * MB);
+  load(budget, streaming, 2 * MB);
+  assert.deepStrictEqual(evicted, []);
+
+  // progress events raise the buffered estimate
+  budget.setBytes(streaming, 5 * MB);
+  budget.enforce(streaming);
+
+  assert.deepStrictEqual(evicted, ['/videos/1.mp4']);
+});
+
+test('the video just loaded stays even when it alone is over budget', () => {
+  const { budget, evicted } = createBudget({ maxBytes: 2 * MB });
+  const [small, large] = createVideos(2);
+
+  load(budget, small, 1 * MB);
+  load(budget, large, 8 * MB);
+
+  assert.deepStrictEqual(evicted, ['/videos/1.mp4']);
+  assert.deepStrictEqual(budget.videos, [large]);
+});
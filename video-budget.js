@@ -0,0 +1,95 @@
+/**
+ * Video Budget
+ * Least-recently-used bookkeeping for the videos media-gallery.js keeps loaded.
+ *
+ * Holds loaded videos in use order with the bytes each one keeps in memory,
+ * and unloads the least recently used when there are more than maxVideos or
+ * more than maxBytes. It never touches the DOM: the caller says which videos
+ * may go (canEvict) and how to unload them (evict), so it runs under Node
+ * too (test/video-budget.test.js).
+ *
+ * new VideoBudget({ maxVideos, maxBytes, canEvict(video), evict(video) })
+ *   maxBytes 0 means no byte limit; both limits may be changed later
+ *
+ *   add(video)              - loaded; becomes the most recently used
+ *   touch(video)            - used again; moves to the most recently used end
+ *   setBytes(video, bytes)  - bytes it holds now (blob size or buffered estimate)
+ *   delete(video)           - unloaded
+ *   has(video) / bytes(video)
+ *   size / totalBytes / videos (least recently used first)
+ *   isWithinBudget()
+ *   enforce(keep)           - evict from the least recently used end until within
+ *                             budget, skipping keep and whatever canEvict refuses
+ */
+
+(function(root) {
+  'use strict';
+
+  class VideoBudget {
+    constructor({ maxVideos = Infinity, maxBytes = 0, canEvict = () => true, evict = () => {} } = {}) {
+      this.maxVideos = maxVideos;
+      this.maxBytes = maxBytes;
+      this.canEvict = canEvict;
+      this.evict = evict;
+      this.entries = new Map();  // video -> bytes; Map keeps insertion order = use order
+    }
+
+    add(video) {
+      const bytes = this.entries.get(video) || 0;
+      this.entries.delete(video);
+      this.entries.set(video, bytes);
+    }
+
+    touch(video) {
+      if (this.entries.has(video)) this.add(video);
+    }
+
+    setBytes(video, bytes) {
+      if (this.entries.has(video)) this.entries.set(video, bytes);
+    }
+
+    delete(video) {
+      this.entries.delete(video);
+    }
+
+    has(video) {
+      return this.entries.has(video);
+    }
+
+    bytes(video) {
+      return this.entries.get(video) || 0;
+    }
+
+    get size() {
+      return this.entries.size;
+    }
+
+    get totalBytes() {
+      let total = 0;
+      this.entries.forEach(bytes => { total += bytes; });
+      return total;
+    }
+
+    get videos() {
+      return [...this.entries.keys()];
+    }
+
+    isWithinBudget() {
+      if (this.entries.size > this.maxVideos) return false;
+      return !this.maxBytes || this.totalBytes <= this.maxBytes;
+    }
+
+    enforce(keep) {
+      // Copy first - evicting deletes from the Map being walked
+      for (const video of this.videos) {
+        if (this.isWithinBudget()) break;
+        if (video === keep || !this.canEvict(video)) continue;
+        this.evict(video);
+        this.entries.delete(video);
+      }
+    }
+  }
+
+  if (typeof module === 'object' && module.exports) module.exports = VideoBudget;
+  else root.VideoBudget = VideoBudget;
+})(this);